@@ -0,0 +1,127 @@
+'use strict';
+
+// Dependencies
+const util = require('util');
+
+const strings = require('core-functions/strings');
+const isString = strings.isString;
+
+/**
+ * Utilities to create capture loggers, which are minimum viable loggers that record every logging call in memory
+ * (instead of writing it anywhere) and that offer assertion helpers for use in unit tests, e.g.
+ *
+ *    const captureLogger = createCaptureLogger(() => 0);
+ *    const log = configureLogging({}, {underlyingLogger: captureLogger}, undefined, true);
+ *    log.warn('Low disk space');
+ *    captureLogger.expectLogged('WARN', /Low disk/);
+ *
+ * @module logging-utils/capture-logger
+ * @author Byron du Preez
+ */
+exports._$_ = '_$_'; //IDE workaround
+// Exports
+exports.createCaptureLogger = createCaptureLogger;
+
+/**
+ * Creates a new capture logger, which records every call to its fatal, error, warn, info, debug, trace & log methods
+ * as a CapturedLogEntry.
+ * @param {function(): number} [now] - an optional function that returns the current time in milliseconds (defaults to
+ * Date.now), which can be used to make the recorded times deterministic
+ * @returns {CaptureLogger} a new capture logger
+ */
+function createCaptureLogger(now) {
+  const currentTime = typeof now === 'function' ? now : Date.now;
+  const entries = [];
+
+  function capture(level) {
+    return function captureLogEntry() {
+      const args = Array.prototype.slice.call(arguments);
+      entries.push({level: level, args: args, formatted: util.format.apply(util, args), time: currentTime()});
+    };
+  }
+
+  /**
+   * Returns the captured entries that match the given level (if any) and pattern (if any).
+   * @param {string|undefined} [level] - the level to match (e.g. 'WARN'), or undefined to match any level
+   * @param {RegExp|string|undefined} [pattern] - a regular expression or substring to match against each entry's
+   * formatted text, or undefined to match any text
+   * @returns {CapturedLogEntry[]} the matching entries
+   */
+  function find(level, pattern) {
+    const lvl = isString(level) ? level.trim().toUpperCase() : undefined;
+    return entries.filter(entry => (!lvl || entry.level === lvl) && matches(entry.formatted, pattern));
+  }
+
+  /**
+   * Asserts that at least one entry matching the given level (if any) and pattern (if any) was captured.
+   * @param {string|undefined} [level] - the level to match (e.g. 'WARN'), or undefined to match any level
+   * @param {RegExp|string|undefined} [pattern] - a regular expression or substring to match
+   * @returns {CapturedLogEntry} the first matching entry
+   * @throws {Error} if no matching entry was captured
+   */
+  function expectLogged(level, pattern) {
+    const matching = find(level, pattern);
+    if (matching.length <= 0) {
+      throw new Error(`Expected ${describe(level, pattern)} to have been logged, but captured: ${describeEntries()}`);
+    }
+    return matching[0];
+  }
+
+  /**
+   * Asserts that no entry matching the given level (if any) and pattern (if any) was captured.
+   * @param {string|undefined} [level] - the level to match (e.g. 'DEBUG'), or undefined to match any level
+   * @param {RegExp|string|undefined} [pattern] - a regular expression or substring to match
+   * @throws {Error} if any matching entry was captured
+   */
+  function expectNotLogged(level, pattern) {
+    const matching = find(level, pattern);
+    if (matching.length > 0) {
+      throw new Error(`Expected ${describe(level, pattern)} NOT to have been logged, but captured: ${describeEntries()}`);
+    }
+  }
+
+  /**
+   * Discards all of the captured entries.
+   */
+  function clear() {
+    entries.length = 0;
+  }
+
+  function describeEntries() {
+    return entries.length > 0 ? entries.map(entry => `\n  ${entry.level}: ${entry.formatted}`).join('') : 'nothing';
+  }
+
+  return {
+    fatal: capture('FATAL'),
+    error: capture('ERROR'),
+    warn: capture('WARN'),
+    info: capture('INFO'),
+    debug: capture('DEBUG'),
+    trace: capture('TRACE'),
+    log: capture('LOG'),
+    entries: entries,
+    find: find,
+    expectLogged: expectLogged,
+    expectNotLogged: expectNotLogged,
+    clear: clear
+  };
+}
+
+/**
+ * Returns true if the given text matches the given pattern (if any); otherwise returns false.
+ * @param {string} text - the text to check
+ * @param {RegExp|string|undefined} [pattern] - a regular expression or substring to match
+ * @returns {boolean} true if matches; false otherwise
+ */
+function matches(text, pattern) {
+  if (pattern instanceof RegExp) {
+    pattern.lastIndex = 0; //NB: MUST RESET lastIndex to zero for global regular expressions (i.e. /.../g )!
+    return pattern.test(text);
+  }
+  return pattern === undefined || pattern === null || text.indexOf(`${pattern}`) !== -1;
+}
+
+function describe(level, pattern) {
+  const lvl = isString(level) ? `a ${level.trim().toUpperCase()} message` : 'a message';
+  return pattern !== undefined && pattern !== null ? `${lvl} matching ${pattern}` : lvl;
+}
@@ -0,0 +1,129 @@
+'use strict';
+
+// Dependencies
+const strings = require('core-functions/strings');
+const stringify = strings.stringify;
+
+/**
+ * Utilities to fully serialise errors for logging, including their names, messages, stacks, codes, any custom
+ * enumerable properties, any nested `cause` chains and any aggregated `errors` (e.g. of an `AggregateError`).
+ * @module logging-utils/errors
+ * @author Byron du Preez
+ */
+exports._$_ = '_$_'; //IDE workaround
+// Exports
+exports.serializeError = serializeError;
+exports.formatError = formatError;
+
+// Properties that are handled explicitly & must NOT be treated as custom properties
+const standardProperties = ['name', 'message', 'stack', 'code', 'cause', 'errors'];
+
+/**
+ * Serialises the given error into a plain object, which is suitable for conversion to JSON and which contains its name,
+ * message, code (if any), stack (if any), any custom enumerable properties, its cause (if any) and its aggregated
+ * errors (if any). Any nested errors are serialised recursively and any circular references to errors that are already
+ * being serialised are replaced with '[Circular]'.
+ * @param {Error} error - the error to serialise
+ * @returns {SerializedError} a plain object version of the given error
+ */
+function serializeError(error) {
+  return _serializeError(error, []);
+}
+
+function _serializeError(error, ancestors) {
+  if (!(error instanceof Error)) {
+    return error;
+  }
+  if (ancestors.indexOf(error) !== -1) {
+    return '[Circular]';
+  }
+  ancestors.push(error);
+
+  const serialized = {name: error.name, message: error.message};
+  if (error.code !== undefined) {
+    serialized.code = error.code;
+  }
+  if (error.stack) {
+    serialized.stack = error.stack;
+  }
+  getCustomPropertyNames(error).forEach(key => {
+    serialized[key] = error[key];
+  });
+  if (error.cause !== undefined) {
+    serialized.cause = _serializeError(error.cause, ancestors);
+  }
+  if (Array.isArray(error.errors)) {
+    serialized.errors = error.errors.map(e => _serializeError(e, ancestors));
+  }
+
+  ancestors.pop();
+  return serialized;
+}
+
+/**
+ * Formats the given error as multi-line text consisting of its stack (or its name & message, if it has no stack),
+ * followed by its code & any custom enumerable properties (if any), followed by its aggregated errors (if any) and
+ * followed by its chain of causes (if any), e.g.
+ *
+ *    Error: Boom
+ *        at ...
+ *      {"code":"E_BOOM","statusCode":500}
+ *    Caused by: Error: Inner boom
+ *        at ...
+ *
+ * @param {Error} error - the error to format
+ * @returns {string} the formatted error
+ */
+function formatError(error) {
+  return _formatError(error, '', []);
+}
+
+function _formatError(error, indent, ancestors) {
+  if (!(error instanceof Error)) {
+    return stringify(error);
+  }
+  if (ancestors.indexOf(error) !== -1) {
+    return '[Circular]';
+  }
+  ancestors.push(error);
+
+  const text = error.stack || `${error.name}: ${error.message}`;
+  const lines = [indent ? text.replace(/\n/g, `\n${indent}`) : text];
+
+  const properties = {};
+  let hasProperties = false;
+  if (error.code !== undefined) {
+    properties.code = error.code;
+    hasProperties = true;
+  }
+  getCustomPropertyNames(error).forEach(key => {
+    properties[key] = error[key];
+    hasProperties = true;
+  });
+  if (hasProperties) {
+    lines.push(`${indent}  ${stringify(properties)}`);
+  }
+
+  if (Array.isArray(error.errors)) {
+    const nestedIndent = `${indent}    `;
+    error.errors.forEach((e, i) => {
+      lines.push(`${indent}  [errors[${i}]] ${_formatError(e, nestedIndent, ancestors)}`);
+    });
+  }
+
+  if (error.cause !== undefined) {
+    lines.push(`${indent}Caused by: ${_formatError(error.cause, indent, ancestors)}`);
+  }
+
+  ancestors.pop();
+  return lines.join('\n');
+}
+
+/**
+ * Returns the names of the given error's own enumerable properties, excluding its standard properties.
+ * @param {Error} error - the error
+ * @returns {string[]} the names of its custom properties
+ */
+function getCustomPropertyNames(error) {
+  return Object.keys(error).filter(key => standardProperties.indexOf(key) === -1);
+}
@@ -0,0 +1,233 @@
+'use strict';
+
+// Dependencies
+const fs = require('fs');
+const util = require('util');
+const zlib = require('zlib');
+
+const strings = require('core-functions/strings');
+const isNotBlank = strings.isNotBlank;
+
+/**
+ * Utilities to create file loggers, which are minimum viable loggers (i.e. which can be used as underlying loggers or
+ * as destinations) that append every message logged as a line to a file and that rotate the file by size and/or by
+ * date, while retaining a configurable number of (optionally gzipped) archives.
+ *
+ * Archives are named by appending a number to the file's path (e.g. 'app.log.1', 'app.log.2', ...), where '.1' is the
+ * most recent archive, and by also appending '.gz' if compression is enabled (e.g. 'app.log.1.gz').
+ *
+ * Note that file loggers write synchronously (like console does when writing to files), so that no messages are lost if
+ * the process exits, and that they do NOT create any missing directories in the file's path. However, to avoid blocking
+ * the event loop while gzipping large files, a rotated file is first renamed to a pending archive (e.g.
+ * 'app.log.1529571600000-1.pending') & is then compressed asynchronously (one archive at a time). Pending archives are
+ * left as they are if compression fails or if the process exits before it completes.
+ *
+ * @module logging-utils/file-logger
+ * @author Byron du Preez
+ */
+exports._$_ = '_$_'; //IDE workaround
+// Exports
+exports.createFileLogger = createFileLogger;
+
+/**
+ * An enum for the various date-based intervals at which to rotate a file
+ * - DAILY - rotates the file when the local date changes
+ * - HOURLY - rotates the file when the local hour changes
+ * @enum {string}
+ * @readonly
+ */
+const RotationInterval = {
+  DAILY: 'daily',
+  HOURLY: 'hourly'
+};
+Object.freeze(RotationInterval);
+exports.RotationInterval = RotationInterval;
+
+/**
+ * Creates a new file logger that appends to the file at the given options' path (creating it if it does not exist yet)
+ * and that rotates it according to the given options.
+ * @param {FileLoggerOptions} options - the options to use
+ * @param {function(): number} [now] - an optional function that returns the current time in milliseconds (defaults to
+ * Date.now)
+ * @returns {FileLogger} a new file logger
+ * @throws {Error} if the options have no path or an invalid interval or if the file cannot be opened
+ */
+function createFileLogger(options, now) {
+  if (!options || !isNotBlank(options.path)) {
+    throw new Error(`Cannot create a file logger without a path - options (${util.inspect(options)})`);
+  }
+  if (options.interval !== undefined && options.interval !== RotationInterval.DAILY &&
+    options.interval !== RotationInterval.HOURLY) {
+    throw new Error(`Cannot create a file logger with an invalid rotation interval (${options.interval})`);
+  }
+  const path = options.path.trim();
+  const maxSize = options.maxSize > 0 ? options.maxSize : 0;
+  const interval = options.interval;
+  const maxFiles = options.maxFiles >= 0 ? Math.floor(options.maxFiles) : 5;
+  const compress = !!options.compress;
+  const currentTime = typeof now === 'function' ? now : Date.now;
+
+  let fd = undefined;
+  let size = 0;
+  let period = undefined;
+  let pendingCount = 0;
+  let archiving = Promise.resolve();
+
+  function open() {
+    fd = fs.openSync(path, 'a');
+    const stats = fs.fstatSync(fd);
+    size = stats.size;
+    // Treat any existing content as belonging to the period in which the file was last modified
+    period = interval ? toPeriod(size > 0 ? stats.mtime : new Date(currentTime()), interval) : undefined;
+  }
+
+  function close() {
+    if (fd !== undefined) {
+      fs.closeSync(fd);
+      fd = undefined;
+    }
+  }
+
+  /**
+   * Shifts every existing archive with the given extension up by one (discarding the oldest archive, if necessary).
+   * @param {string} ext - the extension of the archives (i.e. '.gz' or '')
+   */
+  function shiftArchives(ext) {
+    removeIfExists(`${path}.${maxFiles + 1}${ext}`);
+    for (let i = maxFiles; i >= 1; --i) {
+      renameIfExists(`${path}.${i}${ext}`, `${path}.${i + 1}${ext}`);
+    }
+    removeIfExists(`${path}.${maxFiles + 1}${ext}`);
+  }
+
+  /**
+   * Compresses the given pending archive into the most recent gzipped archive (after shifting the existing gzipped
+   * archives) and then removes it. Never rejects, but instead logs any failure to the console (& keeps the pending
+   * archive).
+   * @param {string} pendingPath - the path of the pending archive
+   * @returns {Promise} a promise that resolves once the pending archive has been compressed (or has failed to be)
+   */
+  function compressArchive(pendingPath) {
+    return new Promise(resolve => {
+      function done(err) {
+        if (err) {
+          console.error(`Failed to compress log file archive (${pendingPath}) - ${err}`);
+        }
+        resolve();
+      }
+
+      fs.readFile(pendingPath, (err, data) => {
+        if (err) return done(err);
+        zlib.gzip(data, (err, gzipped) => {
+          if (err) return done(err);
+          try {
+            shiftArchives('.gz');
+          } catch (err) {
+            return done(err);
+          }
+          fs.writeFile(`${path}.1.gz`, gzipped, err => {
+            if (err) return done(err);
+            fs.unlink(pendingPath, done);
+          });
+        });
+      });
+    });
+  }
+
+  /**
+   * Closes the current file, archives it (discarding the oldest archive, if necessary) and opens a new file. If
+   * compression is enabled, the file is renamed to a pending archive, which is then compressed asynchronously after any
+   * previously pending archives.
+   * @returns {Promise} a promise that resolves once every pending archive has been compressed
+   */
+  function rotate() {
+    close();
+    let pendingPath = undefined;
+    if (fs.existsSync(path)) {
+      if (maxFiles > 0 && compress) {
+        pendingPath = `${path}.${currentTime()}-${++pendingCount}.pending`;
+        fs.renameSync(path, pendingPath);
+      } else if (maxFiles > 0) {
+        shiftArchives('');
+        fs.renameSync(path, `${path}.1`);
+      } else {
+        fs.unlinkSync(path);
+      }
+    }
+    open();
+    if (pendingPath) {
+      archiving = archiving.then(() => compressArchive(pendingPath));
+    }
+    return archiving;
+  }
+
+  /**
+   * Returns a promise that resolves once every pending archive has been compressed.
+   * @returns {Promise} a promise that resolves once every pending archive has been compressed
+   */
+  function whenArchived() {
+    return archiving;
+  }
+
+  function write(line) {
+    try {
+      if (fd === undefined) {
+        open();
+      }
+      const bytes = Buffer.byteLength(line);
+      const rotateByDate = interval && toPeriod(new Date(currentTime()), interval) !== period;
+      const rotateBySize = maxSize > 0 && size > 0 && size + bytes > maxSize;
+      if (rotateByDate || rotateBySize) {
+        rotate();
+      }
+      fs.writeSync(fd, line);
+      size += bytes;
+    } catch (err) {
+      console.error(`Failed to write to log file (${path}) - ${err}`);
+    }
+  }
+
+  function logLine() {
+    write(`${util.format.apply(util, arguments)}\n`);
+  }
+
+  // Open the file up-front to surface any configuration errors
+  open();
+
+  return {
+    fatal: logLine,
+    error: logLine,
+    warn: logLine,
+    info: logLine,
+    debug: logLine,
+    trace: logLine,
+    log: logLine,
+    rotate: rotate,
+    whenArchived: whenArchived,
+    close: close,
+    path: path
+  };
+}
+
+/**
+ * Converts the given date into a local date (or date & hour) string that identifies its rotation period.
+ * @param {Date} date - the date to convert
+ * @param {RotationInterval} interval - the rotation interval
+ * @returns {string} the period
+ */
+function toPeriod(date, interval) {
+  const day = `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+  return interval === RotationInterval.HOURLY ? `${day}T${date.getHours()}` : day;
+}
+
+function removeIfExists(path) {
+  if (fs.existsSync(path)) {
+    fs.unlinkSync(path);
+  }
+}
+
+function renameIfExists(oldPath, newPath) {
+  if (fs.existsSync(oldPath)) {
+    fs.renameSync(oldPath, newPath);
+  }
+}
@@ -0,0 +1,93 @@
+'use strict';
+
+// Dependencies
+const fs = require('fs');
+const path = require('path');
+
+const strings = require('core-functions/strings');
+const isNotBlank = strings.isNotBlank;
+
+const logging = require('./logging');
+const reloadLogging = logging.reloadLogging;
+
+/**
+ * Utilities to hot reload the logging configuration of every logger configured via logging.js without restarting the
+ * process, i.e. whenever a watched config file changes and/or whenever the process receives one of a set of signals
+ * (e.g. `kill -HUP <pid>`), e.g.
+ *
+ *    const disableHotReload = enableHotReload(); // watches the LOGGING_CONFIG_FILE file & handles SIGHUP & SIGUSR2
+ *    ...
+ *    disableHotReload();
+ *
+ * @module logging-utils/hot-reload
+ * @author Byron du Preez
+ */
+exports._$_ = '_$_'; //IDE workaround
+// Exports
+exports.enableHotReload = enableHotReload;
+
+/**
+ * The default signals on which to reload the logging configuration
+ * @type {string[]}
+ */
+const defaultSignals = ['SIGHUP', 'SIGUSR2'];
+
+/**
+ * The default interval (in milliseconds) at which to poll the config file for changes
+ * @type {number}
+ */
+const defaultIntervalMs = 1000;
+
+/**
+ * Enables hot reloading of the logging configuration (see reloadLogging in logging.js) whenever the given config file
+ * (which defaults to the file at the path in the LOGGING_CONFIG_FILE environment variable, if any) changes and whenever
+ * the process receives any of the given signals. The config file is polled without keeping the process alive and any
+ * failure to reload is logged to the console (instead of being thrown).
+ * @param {HotReloadOptions|undefined} [options] - optional hot reload options to use
+ * @returns {function()} a function that disables hot reloading again
+ */
+function enableHotReload(options) {
+  const configFile = options && options.hasOwnProperty('configFile') ? options.configFile :
+    process.env.LOGGING_CONFIG_FILE;
+  const signals = options && Array.isArray(options.signals) ? options.signals : defaultSignals;
+  const intervalMs = options && options.intervalMs > 0 ? options.intervalMs : defaultIntervalMs;
+
+  function reload(reason) {
+    try {
+      reloadLogging();
+    } catch (err) {
+      console.error(`Failed to reload logging configuration (${reason})`, err);
+    }
+  }
+
+  // Watch the config file (if any) for changes
+  const filePath = isNotBlank(configFile) ? path.resolve(configFile.trim()) : undefined;
+  function onFileChange(curr, prev) {
+    if (curr.mtime.getTime() !== prev.mtime.getTime()) {
+      reload(`${filePath} changed`);
+    }
+  }
+  if (filePath) {
+    fs.watchFile(filePath, {persistent: false, interval: intervalMs}, onFileChange);
+  }
+
+  // Handle the signals (if any)
+  const signalHandlers = [];
+  signals.forEach(signal => {
+    const handler = () => reload(`received ${signal}`);
+    try {
+      process.on(signal, handler);
+      signalHandlers.push({signal: signal, handler: handler});
+    } catch (err) {
+      console.warn(`Cannot reload logging configuration on signal (${signal}) - ${err}`);
+    }
+  });
+
+  return function disableHotReload() {
+    if (filePath) {
+      fs.unwatchFile(filePath, onFileChange);
+    }
+    signalHandlers.forEach(h => process.removeListener(h.signal, h.handler));
+    signalHandlers.length = 0;
+  };
+}
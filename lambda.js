@@ -0,0 +1,158 @@
+'use strict';
+
+// Dependencies
+const logging = require('./logging');
+const configureLogging = logging.configureLogging;
+const isLoggingConfigured = logging.isLoggingConfigured;
+
+/**
+ * Utilities to configure logging for AWS Lambda invocations, which bind the details of each invocation (i.e. its AWS
+ * request id, the function's name & version, whether it is a cold start or not and its X-Ray trace id) to every message
+ * logged and which warn when an invocation is running out of time.
+ * @module logging-utils/lambda
+ * @author Byron du Preez
+ */
+exports._$_ = '_$_'; //IDE workaround
+// Exports
+exports.configureLambdaLogging = configureLambdaLogging;
+exports.getLambdaBindings = getLambdaBindings;
+exports.warnOnLowRemainingTime = warnOnLowRemainingTime;
+
+/**
+ * The name of the environment variable in which AWS Lambda provides the X-Ray trace header
+ * @type {string}
+ */
+const envTraceIdName = '_X_AMZN_TRACE_ID';
+
+/**
+ * Whether any invocation has been configured in this container yet or not
+ * @type {boolean}
+ */
+let firstInvocationSeen = false;
+
+/**
+ * The AWS request id of the first invocation in this container (i.e. of the cold start), if any
+ * @type {string|undefined}
+ */
+let firstRequestId = undefined;
+
+/**
+ * Configures logging on the given target for the current AWS Lambda invocation (OVERRIDING any existing logging on the
+ * target), such that the invocation's bindings (see getLambdaBindings) are added to every message logged together with
+ * any bindings in the given settings (which take precedence).
+ * @param {Object} target - the target object to which to add the logging functionality
+ * @param {Object|undefined} [event] - the AWS Lambda event (currently unused, but reserved for event-specific bindings)
+ * @param {AWSContext|undefined} [awsContext] - the AWS Lambda context
+ * @param {LoggingSettings|LoggingOptions|undefined} [settings] - optional logging settings (or options) to use
+ * @param {LoggingOptions|undefined} [options] - optional logging options to use when no corresponding setting is provided
+ * @returns {Logger} the given target object with logging functionality configured
+ */
+function configureLambdaLogging(target, event, awsContext, settings, options) {
+  const lambdaBindings = getLambdaBindings(awsContext);
+  const lambdaSettings = Object.assign({}, settings);
+  lambdaSettings.bindings = Object.assign(lambdaBindings, settings && settings.bindings);
+  return configureLogging(target, lambdaSettings, options, true);
+}
+
+/**
+ * Returns the bindings of the current AWS Lambda invocation, which consist of its AWS request id, the function's name &
+ * version (if available), whether it is a cold start or not (i.e. true ONLY for the first invocation in this container,
+ * which is identified by its AWS request id, so that every call during the first invocation reports a cold start)
+ * and its X-Ray trace id (if available from the `_X_AMZN_TRACE_ID` environment variable).
+ * @param {AWSContext|undefined} [awsContext] - the AWS Lambda context
+ * @returns {LambdaBindings} the bindings of the current invocation
+ */
+function getLambdaBindings(awsContext) {
+  const bindings = {};
+  if (awsContext && awsContext.awsRequestId) {
+    bindings.awsRequestId = awsContext.awsRequestId;
+  }
+  if (awsContext && awsContext.functionName) {
+    bindings.functionName = awsContext.functionName;
+  }
+  if (awsContext && awsContext.functionVersion) {
+    bindings.functionVersion = awsContext.functionVersion;
+  }
+  bindings.coldStart = isColdStart(awsContext && awsContext.awsRequestId);
+
+  const traceId = getTraceId(process.env[envTraceIdName]);
+  if (traceId) {
+    bindings.traceId = traceId;
+  }
+  return bindings;
+}
+
+/**
+ * Returns true if the invocation with the given AWS request id is the first invocation in this container (i.e. a cold
+ * start); otherwise false. Records the request id of the first invocation seen, such that every subsequent call for the
+ * same invocation also returns true (NB: without a request id, only the very first call returns true).
+ * @param {string|undefined} [awsRequestId] - the AWS request id of the invocation
+ * @returns {boolean} true if the invocation is a cold start; false otherwise
+ */
+function isColdStart(awsRequestId) {
+  if (!firstInvocationSeen) {
+    firstInvocationSeen = true;
+    firstRequestId = awsRequestId;
+    return true;
+  }
+  return !!awsRequestId && awsRequestId === firstRequestId;
+}
+
+/**
+ * Extracts the X-Ray trace id (i.e. the `Root` field) from the given X-Ray trace header (e.g.
+ * "Root=1-5759e988-bd862e3fe1be46a994272793;Parent=53995c3f42cd8ad8;Sampled=1"), falling back to the entire header if
+ * it has no `Root` field.
+ * @param {string|undefined} traceHeader - the X-Ray trace header
+ * @returns {string|undefined} the trace id (if any)
+ */
+function getTraceId(traceHeader) {
+  if (!traceHeader || !traceHeader.trim()) {
+    return undefined;
+  }
+  const match = /(?:^|;)\s*Root=([^;]+)/.exec(traceHeader);
+  return match ? match[1].trim() : traceHeader.trim();
+}
+
+/**
+ * Schedules a warning to be logged on the given target when the remaining time of the current AWS Lambda invocation
+ * (according to the given AWS context's `getRemainingTimeInMillis` method) falls below the given threshold. Logs the
+ * warning immediately if the remaining time is already below the threshold. Note that the scheduled timer will NOT keep
+ * the process alive and should be cancelled when the invocation completes.
+ * @param {Logger} target - the target object with logging functionality configured
+ * @param {AWSContext} awsContext - the AWS Lambda context
+ * @param {number|undefined} [thresholdMs] - the remaining time (in milliseconds) below which to warn (defaults to 1000)
+ * @returns {function()} a function that cancels the scheduled warning
+ */
+function warnOnLowRemainingTime(target, awsContext, thresholdMs) {
+  if (!awsContext || typeof awsContext.getRemainingTimeInMillis !== 'function') {
+    return noop;
+  }
+  const threshold = thresholdMs >= 0 ? thresholdMs : 1000;
+  const logger = isLoggingConfigured(target) ? target : console;
+
+  function warn() {
+    logger.warn(`Remaining time (${awsContext.getRemainingTimeInMillis()} ms) has fallen below ${threshold} ms`);
+  }
+
+  const delayMs = awsContext.getRemainingTimeInMillis() - threshold;
+  if (delayMs < 0) {
+    warn();
+    return noop;
+  }
+
+  let timer = setTimeout(() => {
+    timer = undefined;
+    warn();
+  }, delayMs);
+  if (timer.unref) timer.unref();
+
+  return function cancel() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = undefined;
+    }
+  };
+}
+
+function noop() {
+}
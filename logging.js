@@ -1,11 +1,18 @@
 'use strict';
 
 // Dependencies
+const fs = require('fs');
+const path = require('path');
+
 const strings = require('core-functions/strings');
 const isNotBlank = strings.isNotBlank;
 const isString = strings.isString;
 const trim = strings.trim;
 const stringify = strings.stringify;
+const stringifyKeyValuePairs = strings.stringifyKeyValuePairs;
+
+const objects = require('core-functions/objects');
+const toKeyValuePairs = objects.toKeyValuePairs;
 
 const copying = require('core-functions/copying');
 const copy = copying.copy;
@@ -15,24 +22,58 @@ const merge = merging.merge;
 const booleans = require('core-functions/booleans');
 const isBoolean = booleans.isBoolean;
 
-const levelPrefixedRegex = /\s*(ERROR|WARN|INFO|DEBUG|TRACE|LOG)(?:$|([^A-Za-z]+.*))/;
+const redaction = require('./redaction');
+const createRedactor = redaction.createRedactor;
+const isRedactionSettings = redaction.isRedactionSettings;
+
+const throttling = require('./throttling');
+const createThrottle = throttling.createThrottle;
+
+const errors = require('./errors');
+const serializeError = errors.serializeError;
+const formatError = errors.formatError;
+
+const pretty = require('./pretty');
+const colourise = pretty.colourise;
+const prettifyArguments = pretty.prettifyArguments;
+const isPrettyByDefault = pretty.isPrettyByDefault;
+
+const levelPrefixedRegex = /\s*(FATAL|ERROR|WARN|INFO|DEBUG|TRACE|LOG)(?:$|([^A-Za-z]+.*))/;
 
 /**
  * Utilities to configure simple log-level based console logging.
  *
  * The log levels supported are the following:
- * - ERROR - only logs error messages
+ * - FATAL - only logs fatal messages
+ * - ERROR - only logs error and fatal messages
  * - WARN - only logs warning and error messages
  * - INFO - logs info, warning and error messages
  * - DEBUG - logs debug, info, warning and error messages
  * - TRACE - logs trace, debug, info, warning and error messages (i.e. all)
  *
+ * Extra log levels (e.g. NOTICE) can also be registered via the customLevels setting, each with a numeric severity
+ * relative to the LogLevelSeverity of the levels above.
+ *
  * The default logging configuration uses the following settings:
  * - Log level is set to logLevel from the local default-options.json file (if any); otherwise to defaults.logLevel (currently LogLevel.INFO)
  * - Use level prefixes is set to useLevelPrefixes from the local default-options.json file (if any); otherwise to defaults.useLevelPrefixes (currently true)
  * - The log level environment variable name is set to envLogLevelName from the local default-options.json file (if any); otherwise to defaults.envLogLevelName (currently 'LOG_LEVEL')
  * - The underlying logger is set to console
  * - Use console trace is set to useConsoleTrace from the local default-options.json file (if any); otherwise to defaults.useConsoleTrace (currently false)
+ * - Format is set to format from the local default-options.json file (if any); otherwise to 'pretty' when logging to console, standard output is a TTY and NODE_ENV is NOT 'production'; otherwise to 'text'
+ * - Time format is set to timeFormat from the local default-options.json file (if any); otherwise to defaults.timeFormat (currently 'iso')
+ * - Debug sample rate is set to debugSampleRate from the local default-options.json file (if any); otherwise to defaults.debugSampleRate (currently 0)
+ * - Dedupe window is set to dedupeWindowMs from the local default-options.json file (if any); otherwise to defaults.dedupeWindowMs (currently 0, i.e. disabled)
+ * - Max messages per second is set to maxMessagesPerSecond from the local default-options.json file (if any); otherwise to defaults.maxMessagesPerSecond (currently 0, i.e. unlimited)
+ * - Debug buffer size is set to debugBufferSize from the local default-options.json file (if any); otherwise to defaults.debugBufferSize (currently 0, i.e. disabled)
+ * - Exit on fatal is set to exitOnFatal from the local default-options.json file (if any); otherwise to defaults.exitOnFatal (currently false)
+ * - Fatal exit code is set to fatalExitCode from the local default-options.json file (if any); otherwise to defaults.fatalExitCode (currently 1)
+ * - Strict is set to strict from the local default-options.json file (if any); otherwise to defaults.strict (currently false)
+ *
+ * Any of the options above that are loaded from the local default-options.json file can be overridden by the same
+ * options configured in (from highest to lowest precedence): the individual LOG_USE_LEVEL_PREFIXES,
+ * LOG_USE_CONSOLE_TRACE & LOG_FORMAT environment variables; the JSON file at the path in the LOGGING_CONFIG_FILE
+ * environment variable; or the `logging` property of the app's package.json file (in the current working directory).
  *
  * Primary usage:
  * - First configure logging on an existing object (do this once, during start-up)
@@ -45,6 +86,7 @@ const levelPrefixedRegex = /\s*(ERROR|WARN|INFO|DEBUG|TRACE|LOG)(?:$|([^A-Za-z]+
  *    if (context.warnEnabled) context.warn('Insert warning here');
  *    context.info('FYI');
  *    if (log.debugEnabled) context.debug('Insert debug message here');
+ *    context.debug(() => `Insert expensive debug message here: ${JSON.stringify(state)}`); // only built if enabled
  *    context.trace('Some detailed tracing message goes here');
  *
  * Alternative usage:
@@ -72,6 +114,19 @@ exports.log = log;
 exports.isValidLogLevel = isValidLogLevel;
 exports.cleanLogLevel = cleanLogLevel;
 exports.isMinimumViableLogger = isMinimumViableLogger;
+exports.isValidLogFormat = isValidLogFormat;
+exports.setLogLevel = setLogLevel;
+exports.addLogLevelChangeListener = addLogLevelChangeListener;
+exports.removeLogLevelChangeListener = removeLogLevelChangeListener;
+exports.getLogger = getLogger;
+exports.runWithLogContext = runWithLogContext;
+exports.getLogContext = getLogContext;
+exports.validateLoggingSettings = validateLoggingSettings;
+exports.getLoggingSettings = getLoggingSettings;
+exports.explainLoggingConfiguration = explainLoggingConfiguration;
+exports.reloadLogging = reloadLogging;
+exports.trackLogging = trackLogging;
+exports.untrackLogging = untrackLogging;
 // exports.FOR_TESTING_ONLY = {loadDefaultLoggingOptions, toLoggingSettingsWithDefaults}
 
 function noop() {
@@ -83,6 +138,7 @@ function noop() {
  * @readonly
  */
 const LogLevel = {
+  FATAL: 'FATAL',
   ERROR: 'ERROR',
   WARN: 'WARN',
   INFO: 'INFO',
@@ -92,6 +148,130 @@ const LogLevel = {
 Object.freeze(LogLevel);
 exports.LogLevel = LogLevel;
 
+/**
+ * An enum for the numeric severities of the logging levels supported (where a higher severity is more severe), which
+ * can be used to position any custom log levels relative to these levels (e.g. a NOTICE level with a severity of 35)
+ * @enum {number}
+ * @readonly
+ */
+const LogLevelSeverity = {
+  FATAL: 60,
+  ERROR: 50,
+  WARN: 40,
+  INFO: 30,
+  DEBUG: 20,
+  TRACE: 10
+};
+Object.freeze(LogLevelSeverity);
+exports.LogLevelSeverity = LogLevelSeverity;
+
+/**
+ * The lowercase names of Logger properties that must NOT be replaced by the methods of custom log levels
+ * @type {string[]}
+ */
+const reservedMethodNames = ['log', 'child', 'time', 'wrap'];
+
+/**
+ * An enum for the various output formats supported
+ * - TEXT - logs the data as is (with level prefixes, if enabled)
+ * - JSON - logs a single JSON object per call, containing the level, timestamp, message and any extra data
+ * - PRETTY - logs the data for developers, with coloured level prefixes, indented objects and shortened stack traces
+ * @enum {string}
+ * @readonly
+ */
+const LogFormat = {
+  TEXT: 'text',
+  JSON: 'json',
+  PRETTY: 'pretty'
+};
+Object.freeze(LogFormat);
+exports.LogFormat = LogFormat;
+
+/**
+ * An enum for the various time formats supported for timestamps
+ * - ISO - an ISO-8601 UTC date-time string (e.g. '2018-06-21T10:00:00.000Z')
+ * - EPOCH - the number of milliseconds since the epoch (e.g. 1529575200000)
+ * - LOCAL - a local date-time string (e.g. '2018-06-21 12:00:00.000')
+ * @enum {string}
+ * @readonly
+ */
+const TimeFormat = {
+  ISO: 'iso',
+  EPOCH: 'epoch',
+  LOCAL: 'local'
+};
+Object.freeze(TimeFormat);
+exports.TimeFormat = TimeFormat;
+
+const placeholderRegex = /\{(\w+)}/g;
+
+/**
+ * The listeners to be notified of log level changes made via setLogLevel
+ * @type {Array.<function(target: Logger, newLogLevel: LogLevel, oldLogLevel: LogLevel)>}
+ */
+const logLevelChangeListeners = [];
+
+/**
+ * The named loggers created via getLogger keyed by name
+ * @type {Map.<string, NamedLoggerEntry>}
+ */
+const namedLoggers = new Map();
+
+/**
+ * The registry of the loggers configured via configureLogging or via child (which are held weakly, where supported;
+ * otherwise only if explicitly tracked), which are reconfigured by reloadLogging
+ * @type {{add: function(target: Logger), track: function(target: Logger), remove: function(target: Logger): boolean, forEach: function(callback: function(target: Logger))}}
+ */
+const configuredLoggers = createConfiguredLoggersRegistry();
+
+/**
+ * The throttles of configured loggers (keyed by logger) & the throttling settings with which each was created, which
+ * are held outside of the loggers, so that they survive any reconfiguration & so that child loggers can share their
+ * parent's throttle
+ * @type {WeakMap.<Logger, {throttle: Throttle, dedupeWindowMs: number, maxMessagesPerSecond: number}>}
+ */
+const throttles = new WeakMap();
+
+/**
+ * The logging calls captured in the debug buffers of configured loggers (keyed by logger), which are held outside of
+ * the loggers, so that they survive any reconfiguration (e.g. via setLogLevel or reloadLogging)
+ * @type {WeakMap.<Logger, Array.<{loggingFn: function(...*), args: Array.<*>}>>}
+ */
+const debugBufferEntries = new WeakMap();
+
+/**
+ * The start times of the timers started via the time methods of configured loggers (keyed by logger, then by label),
+ * which are held outside of the loggers, so that they survive any reconfiguration
+ * @type {WeakMap.<Logger, Map.<string, {logLevel: LogLevel, start: number[]}>>}
+ */
+const timerStarts = new WeakMap();
+
+/**
+ * The name of the environment variable from which to read log level patterns for named loggers
+ * @type {string}
+ */
+const envLogLevelPatternsName = 'LOG_LEVELS';
+
+/**
+ * A cache of the most recently parsed log level patterns and the text from which they were parsed
+ * @type {{text: string, patterns: LogLevelPattern[]}}
+ */
+const logLevelPatterns = {text: '', patterns: []};
+
+/**
+ * The async local storage in which to keep the fields of the current log context (if AsyncLocalStorage is supported by
+ * this version of Node.js); otherwise undefined
+ * @type {AsyncLocalStorage|undefined}
+ */
+const logContextStorage = createLogContextStorage();
+
+/**
+ * The fields of the current synchronous log context, which is ONLY used as a fallback when AsyncLocalStorage is NOT
+ * supported by this version of Node.js
+ * @type {Object|undefined}
+ */
+let syncLogContext = undefined;
+
 /**
  * The last-resort, default options to fallback to during configuration to fill in any missing settings
  * @type LoggingOptions
@@ -100,7 +280,15 @@ const defaults = {
   logLevel: LogLevel.INFO,
   useLevelPrefixes: true,
   envLogLevelName: 'LOG_LEVEL',
-  useConsoleTrace: false
+  useConsoleTrace: false,
+  timeFormat: TimeFormat.ISO,
+  debugSampleRate: 0,
+  dedupeWindowMs: 0,
+  maxMessagesPerSecond: 0,
+  debugBufferSize: 0,
+  exitOnFatal: false,
+  fatalExitCode: 1,
+  strict: false
 };
 
 
@@ -110,8 +298,9 @@ const defaults = {
  * @return {*} true if configured; otherwise false
  */
 function isLoggingConfigured(target) {
-  return target && isBoolean(target.warnEnabled) && isBoolean(target.infoEnabled) && isBoolean(target.debugEnabled)
-    && isBoolean(target.traceEnabled) && typeof target.error === 'function' && typeof target.warn === 'function'
+  return target && isBoolean(target.fatalEnabled) && isBoolean(target.errorEnabled) && isBoolean(target.warnEnabled)
+    && isBoolean(target.infoEnabled) && isBoolean(target.debugEnabled) && isBoolean(target.traceEnabled)
+    && typeof target.fatal === 'function' && typeof target.error === 'function' && typeof target.warn === 'function'
     && typeof target.info === 'function' && typeof target.debug === 'function' && typeof target.trace === 'function';
 }
 
@@ -129,6 +318,8 @@ function isLoggingConfigured(target) {
  *   underlying logger.
  * - A convenience log method, which expects a log level as its first argument and delegates the logging to the
  *   appropriate one of the five logging method according to the log level
+ * - A child method, which creates a new child logger that inherits this target's logging configuration and that adds
+ *   the given bindings to every message that it logs
  *
  * Note that you can call any of the 5 logging functions without first checking the corresponding enabled flag and the
  * function will simply do nothing if its log level is not enabled.
@@ -147,6 +338,162 @@ function configureLogging(target, settings, options, forceConfiguration) {
     return target;
   }
 
+  // Resolve the finalised logging settings to use (and the source of each of them)
+  const sources = {};
+  const loggingSettings = resolveLoggingSettings(settings, options, sources);
+
+  // Configure logging with the finalised logging settings
+  _configureLogging(target, loggingSettings);
+  target._loggingSources = sources; // for explainLoggingConfiguration
+  target._loggingInputs = {settings: settings, options: options}; // for reloadLogging
+  configuredLoggers.add(target);
+  logConfiguration(target, loggingSettings);
+  return target;
+}
+
+/**
+ * Reloads the logging configuration of every logger configured via this module, i.e. re-resolves the settings of every
+ * named logger (see getLogger), of every target configured via configureLogging and of every child logger from the
+ * settings & options with which each of them was originally configured and the current default options & environment
+ * (e.g. a changed LOGGING_CONFIG_FILE file or a changed LOG_LEVEL environment variable) and then applies them without
+ * requiring a restart. Any log level set at runtime via setLogLevel is retained, any debug sampling decision is retained
+ * unless the debug sample rate changed and all registered log level change listeners are notified of any log level
+ * changes. Any logging options files (e.g. the LOGGING_CONFIG_FILE file) are re-read. Since the original settings &
+ * options still take precedence over the default options, only settings that were NOT explicitly configured are
+ * affected by a reload. A logger whose settings cannot be reloaded (e.g. in strict mode with invalid settings) keeps
+ * its current configuration without preventing the reload of any other loggers.
+ *
+ * NB: Targets configured via configureLogging and child loggers are automatically tracked (weakly) for reloading if
+ * this version of Node.js supports WeakRef; otherwise ONLY named loggers and targets explicitly tracked via trackLogging
+ * are reloaded, since automatically tracking every (e.g. per-request) logger strongly would leak memory.
+ * @returns {number} the number of loggers reloaded
+ * @throws {Error} if the settings of any loggers could not be reloaded, after reloading all of the other loggers (with
+ * an errors property containing the failure of each of them)
+ */
+function reloadLogging() {
+  let count = 0;
+  const failures = [];
+
+  // Forget the logging options files read so far, so that they are re-read
+  loggingOptionsFiles.clear();
+
+  function reload(target, reconfigure) {
+    try {
+      reloadTarget(target, reconfigure);
+      ++count;
+    } catch (err) {
+      failures.push(err);
+    }
+  }
+
+  // Reload the named loggers first, since any other loggers may be their children
+  namedLoggers.forEach(entry => {
+    reload(entry.logger, () => configureNamedLogger(entry));
+  });
+
+  // Then reload the other configured loggers (in the order in which they were configured, so that every parent is
+  // reloaded before its children)
+  configuredLoggers.forEach(target => {
+    const inputs = target._loggingInputs;
+    if (!inputs) {
+      return;
+    }
+    reload(target, () => {
+      if (inputs.parent) {
+        configureChildLogging(target, inputs.parent, inputs.bindings, inputs.settings);
+      } else {
+        const sources = {};
+        const loggingSettings = resolveLoggingSettings(inputs.settings, inputs.options, sources);
+        _configureLogging(target, loggingSettings);
+        target._loggingSources = sources;
+        logConfiguration(target, loggingSettings);
+      }
+    });
+  });
+
+  if (failures.length > 0) {
+    const error = new Error(`Failed to reload the logging configuration of ${failures.length} logger(s) - ${failures.map(err => err.message).join('; ')}`);
+    error.errors = failures;
+    throw error;
+  }
+  return count;
+}
+
+/**
+ * Explicitly tracks the given target (configured via configureLogging or via child) for reloading by reloadLogging,
+ * which is only necessary on versions of Node.js without WeakRef (on which such targets are NOT tracked automatically).
+ * Note that the target is then held strongly until untracked via untrackLogging & that any parent must be tracked
+ * before its children, so that it is reloaded before them.
+ * @param {Logger} target - the target to track
+ * @returns {Logger} the given target
+ * @throws {Error} if the target was NOT configured via configureLogging or via child
+ */
+function trackLogging(target) {
+  if (!isLoggingConfigured(target) || !target._loggingInputs) {
+    throw new Error(`Cannot track a target that was NOT configured via configureLogging or via child`);
+  }
+  configuredLoggers.track(target);
+  return target;
+}
+
+/**
+ * Stops tracking the given target (configured via configureLogging or via child) for reloading by reloadLogging, e.g.
+ * to allow a target explicitly tracked via trackLogging to be garbage collected.
+ * @param {Logger} target - the target to stop tracking
+ * @returns {boolean} true if the target was tracked; false otherwise
+ */
+function untrackLogging(target) {
+  return configuredLoggers.remove(target);
+}
+
+/**
+ * Reloads the given target using the given reconfigure function and notifies any log level change listeners if its
+ * log level changed as a result.
+ * @param {Logger} target - the target to reload
+ * @param {function()} reconfigure - the function to use to reconfigure the target
+ */
+function reloadTarget(target, reconfigure) {
+  const oldLogLevel = target.logLevel;
+  const oldSettings = target._loggingSettings;
+  const oldSource = target._loggingSources ? target._loggingSources.logLevel : undefined;
+  const oldDebugSampled = target.debugSampled;
+
+  reconfigure();
+
+  // Retain any log level set at runtime via setLogLevel & any debug sampling decision (unless the rate changed)
+  const settings = copy(target._loggingSettings);
+  let retained = false;
+  if (oldSource === 'setLogLevel' && settings.logLevel !== oldSettings.logLevel) {
+    settings.logLevel = oldSettings.logLevel;
+    target._loggingSources.logLevel = oldSource;
+    retained = true;
+  }
+  if (target.debugSampled !== oldDebugSampled && settings.debugSampleRate === oldSettings.debugSampleRate) {
+    settings.debugSampled = oldDebugSampled;
+    retained = true;
+  }
+  if (retained) {
+    settings.underlyingLogger = target._underlyingLogger;
+    _configureLogging(target, settings);
+  }
+
+  if (target.logLevel !== oldLogLevel) {
+    notifyLogLevelChangeListeners(target, target.logLevel, oldLogLevel);
+  }
+}
+
+/**
+ * Resolves the finalised logging settings to use from the given logging settings (if any) and/or options (if any),
+ * preferring valid individual settings over valid options, using default settings to fill in any missing settings and
+ * preferring any valid log level configured in the environment variable named by envLogLevelName.
+ * @param {LoggingSettings|LoggingOptions|undefined} [settings] - optional logging settings to use
+ * @param {LoggingOptions|undefined} [options] - optional logging options to use when no corresponding setting is provided
+ * @param {Object.<string, string>|undefined} [sources] - an optional map to which to add the source of each setting
+ * @returns {LoggingSettings} the finalised logging settings
+ * @throws {Error} if the given settings or options contain an underlying logger that is NOT a minimum viable logger or,
+ * in strict mode, if they contain any invalid settings
+ */
+function resolveLoggingSettings(settings, options, sources) {
   // Ensure that any underlying logger to be configured is a minimum viable logger
   //noinspection JSUnresolvedVariable
   const logger = settings && settings.underlyingLogger ? settings.underlyingLogger :
@@ -157,255 +504,1799 @@ function configureLogging(target, settings, options, forceConfiguration) {
     throw new Error(errMsg);
   }
 
+  // Load the default options, which are used to fill in any missing settings
+  const defaultSources = {};
+  const defaultOptions = resolveDefaultLoggingOptions(defaultSources);
+
+  // In strict mode, reject any invalid settings & options (instead of silently ignoring them)
+  if (isStrict(settings, options, defaultOptions)) {
+    const problems = validateLoggingSettings(options);
+    const optionsCustomLevels = problems.length === 0 && options ? cleanCustomLevels(options.customLevels) : undefined;
+    throwIfInvalid(problems.concat(validateLoggingSettings(settings, optionsCustomLevels)), 'configure logging');
+  }
+
   // Create clean copies of the given settings and options
-  settings = toCleanSettingsOrOptions(settings);
   options = toCleanSettingsOrOptions(options);
+  settings = toCleanSettingsOrOptions(settings, options && options.customLevels);
+
+  // Record the source of each of the clean settings & options (before they are merged)
+  if (sources) {
+    recordSources(sources, defaultOptions, 'defaults');
+    Object.keys(defaultSources).forEach(key => {
+      sources[key] = defaultSources[key];
+    });
+    sources.underlyingLogger = 'defaults';
+    sources.format = 'defaults';
+    recordSources(sources, options, 'options');
+    recordSources(sources, settings, 'settings');
+  }
 
   // Resolve the logging settings to use by merging the clean options (if any) into the clean settings (if any) without
   // replacing any existing clean settings
   const loggingSettings = settings ? (options ? merge(options, settings) : settings) : options;
 
   // Finalise the logging settings by using the default options to fill in any missing settings
-  const defaultOptions = getDefaultLoggingOptions();
   const loggingSettingsWithDefaults = loggingSettings ?
     merge(defaultOptions, loggingSettings) : defaultOptions;
 
-  // Configure logging with the finalised logging settings
-  _configureLogging(target, loggingSettingsWithDefaults);
-  return target;
-}
-
-/**
- * Configures the given target object with logging functionality using the given logging settings.
- * @param {Object} target the target object to which to add the logging functionality
- * @param {LoggingSettings} settings - the logging settings to configure
- * @returns {Logger} the updated target object with logging functionality configured
- * @private
- */
-function _configureLogging(target, settings) {
-  const envLogLevelName = settings.envLogLevelName;
+  // If no format is configured, then default to pretty output when logging to console on an interactive terminal
+  if (!loggingSettingsWithDefaults.format) {
+    loggingSettingsWithDefaults.format = resolveDefaultLogFormat(loggingSettingsWithDefaults.underlyingLogger);
+  }
 
   // If a logLevel is configured in the named environment variable then use it instead
-  const envLogLevel = process.env[envLogLevelName];
-  const logLevel = isValidLogLevel(envLogLevel) ? cleanLogLevel(envLogLevel) : settings.logLevel;
+  loggingSettingsWithDefaults.logLevel = resolveLogLevel(loggingSettingsWithDefaults, sources);
 
-  const useLevelPrefixes = settings.useLevelPrefixes;
-  const useConsoleTrace = settings.useConsoleTrace;
-  const logger = isMinimumViableLogger(settings.underlyingLogger) ? settings.underlyingLogger : console;
+  // Decide whether or not to elevate the log level to DEBUG for this configuration
+  loggingSettingsWithDefaults.debugSampled = isDebugSampled(loggingSettingsWithDefaults.debugSampleRate);
 
-  // Finalise the underlying logging methods to be used
-  const usingConsole = logger === console;
-  const hasInfoMethod = usingConsole || typeof logger.info === 'function';
-  const hasLogMethod = usingConsole || typeof logger.log === 'function';
+  return loggingSettingsWithDefaults;
+}
 
-  if (!hasLogMethod && !hasInfoMethod) {
-    throw new Error(`FATAL: Cannot configure logging with an underlying logger that has neither a log method nor an info method - logger (${stringify(logger)})`);
-  }
-  if (!hasLogMethod) {
-    console.warn('WARNING - The configured underlying logger has NO log method - falling back to using its info method');
-  }
-  if (!hasInfoMethod) {
-    console.warn('WARNING - The configured underlying logger has NO info method - falling back to using its log method');
+/**
+ * Records the given source as the source of each of the given settings (if any) in the given sources.
+ * @param {Object.<string, string>} sources - the map to which to add the source of each setting
+ * @param {LoggingSettings|LoggingOptions|undefined} settings - the clean settings (if any)
+ * @param {string} source - the source of the settings
+ */
+function recordSources(sources, settings, source) {
+  if (settings) {
+    Object.keys(settings).forEach(key => {
+      sources[key] = source;
+    });
   }
+}
 
-  // Use log level to determine which levels are enabled
-  const traceEnabled = logLevel === LogLevel.TRACE;
-  const debugEnabled = traceEnabled || logLevel === LogLevel.DEBUG;
-  const infoEnabled = debugEnabled || logLevel === LogLevel.INFO;
-  const warnEnabled = infoEnabled || logLevel === LogLevel.WARN;
-
-  // Resolve logger's error method
-  const error = resolveLoggingFunction(logger, 'error', useLevelPrefixes, 'ERROR');
-
-  // Resolve logger's warn method, but fallback to using logger.error if it has no logger.warn method
-  const warnFnName = usingConsole ? 'warn' : typeof logger.warn === 'function' ? 'warn' : 'error';
-  const warn = warnEnabled ? resolveLoggingFunction(logger, warnFnName, useLevelPrefixes, 'WARN') : noop;
-
-  // Resolve logger's info method, but fallback to using logger.log if it has no logger.info
-  const infoFnName = usingConsole ? 'info' : typeof logger.info === 'function' ? 'info' : 'log';
-  const info = infoEnabled ? resolveLoggingFunction(logger, infoFnName, useLevelPrefixes, 'INFO') : noop;
-
-  // Resolve logger's debug method, but fallback to using infoFnName if it has no logger.debug method
-  const debugFnName = usingConsole ? 'info' : typeof logger.debug === 'function' ? 'debug' : infoFnName;
-  const debug = debugEnabled ? resolveLoggingFunction(logger, debugFnName, useLevelPrefixes, 'DEBUG') : noop;
-
-  // Resolve logger's trace method, but fallback to using debugFnName if it has no logger.trace method
-  const traceFnName = usingConsole ? useConsoleTrace ? 'trace' : 'info' :
-    typeof logger.trace === 'function' ? 'trace' : debugFnName;
-  const trace = traceEnabled ? resolveLoggingFunction(logger, traceFnName, useLevelPrefixes, 'TRACE') : noop;
-
-  // Resolve logger's log method, but fallback to using logger.info if it has no logger.log method, which is NOT
-  // technically a proper replacement for a log method, but nevertheless ...
-  // To enable the underlying logger's log method's output to ALSO be suppressed, treat it as if it logs at INFO level
-  // (i.e. it will be suppressed if infoEnabled is false), but prefix it with 'LOG' instead of 'INFO' (to distinguish it
-  // from INFO logging output) when useLevelPrefixes is true
-  const logFnName = usingConsole ? 'log' : typeof logger.log === 'function' ? 'log' : infoFnName;
-  const log = infoEnabled ? resolveLoggingFunction(logger, logFnName, useLevelPrefixes, 'LOG') : noop;
+/**
+ * Returns true if strict mode is enabled by the given settings or, if they do NOT configure it, by the given options or
+ * otherwise by the given default options; otherwise returns false.
+ * @param {LoggingSettings|LoggingOptions|undefined} [settings] - optional logging settings
+ * @param {LoggingOptions|undefined} [options] - optional logging options
+ * @param {LoggingOptions|undefined} [defaultOptions] - optional default logging options
+ * @returns {boolean} true if strict; false otherwise
+ */
+function isStrict(settings, options, defaultOptions) {
+  return settings && isBoolean(settings.strict) ? settings.strict :
+    options && isBoolean(options.strict) ? options.strict : !!defaultOptions && defaultOptions.strict === true;
+}
 
-  // Add the logging functionality to the given target object
-  target.logLevel = logLevel; // for info and testing purposes
-  target._underlyingLogger = logger; // for testing purposes ONLY
-  target.warnEnabled = warnEnabled;
-  target.infoEnabled = infoEnabled;
-  target.debugEnabled = debugEnabled;
-  target.traceEnabled = traceEnabled;
-  target.error = error;
-  target.warn = warn;
-  target.info = info;
-  target.debug = debug;
-  target.trace = trace;
-  target.log = extendLogFunction(target, log);
+/**
+ * Resolves the format to use when none is configured, which is 'pretty' when logging to console (i.e. when no other
+ * underlying logger is configured), standard output is an interactive terminal (TTY) and NODE_ENV is NOT 'production';
+ * otherwise 'text'.
+ * @param {Logger|BasicLogger|Array.<LoggingDestination|Logger|BasicLogger>|undefined} [underlyingLogger] - the
+ * underlying logger to be configured (if any)
+ * @returns {LogFormat} the default format to use
+ */
+function resolveDefaultLogFormat(underlyingLogger) {
+  return (!underlyingLogger || underlyingLogger === console) && isPrettyByDefault() ? LogFormat.PRETTY : LogFormat.TEXT;
+}
 
-  target.debug(`Logging configured with level ${logLevel}, with${useLevelPrefixes ? '' : 'out'} prefixes, with env log level name '${envLogLevelName}' & with${useConsoleTrace ? '' : 'out'} console.trace`);
+/**
+ * Logs a debug message describing the logging configuration of the given target.
+ * @param {Logger} target - the target object on which logging functionality was configured
+ * @param {LoggingSettings} settings - the logging settings with which it was configured
+ */
+function logConfiguration(target, settings) {
+  const s = settings;
+  target.debug(`Logging configured${s.name ? ` for '${s.name}'` : ''} with level ${target.logLevel}${target.debugSampled ? ' (debug sampled)' : ''}, with${s.useLevelPrefixes ? '' : 'out'} prefixes, with env log level name '${s.envLogLevelName}', with${s.useConsoleTrace ? '' : 'out'} console.trace & with format '${s.format}'${s.debugBufferSize > 0 ? ` & with debug buffer size ${s.debugBufferSize}` : ''}${s.exitOnFatal ? ` & exit on fatal with code ${s.fatalExitCode}` : ''}`);
+}
 
-  return target;
+/**
+ * Resolves the log level to use from the given settings, preferring any valid log level configured in the environment
+ * variable named by the settings' envLogLevelName over the settings' logLevel.
+ * @param {LoggingSettings} settings - the logging settings
+ * @param {Object.<string, string>|undefined} [sources] - an optional map in which to record the environment variable as
+ * the source of the log level (if it is used)
+ * @returns {LogLevel} the log level to use
+ */
+function resolveLogLevel(settings, sources) {
+  const envLogLevel = process.env[settings.envLogLevelName];
+  if (!isValidLogLevel(envLogLevel, settings.customLevels)) {
+    return settings.logLevel;
+  }
+  if (sources) {
+    sources.logLevel = `environment variable ${settings.envLogLevelName}`;
+  }
+  return cleanLogLevel(envLogLevel);
 }
 
 /**
- * Loads a clean, but potentially incomplete, copy of the default logging options from the local default-options.json file.
- * @returns {LoggingOptions|undefined} clean (potentially incomplete) copy of default options loaded from the local file
+ * Randomly decides whether or not to elevate the log level to DEBUG, such that the given debug sample rate is the
+ * probability of doing so.
+ * @param {number|undefined} [debugSampleRate] - the fraction (from 0 to 1) of configurations to elevate to DEBUG
+ * @returns {boolean} true if the log level must be elevated to DEBUG; false otherwise
  */
-function loadDefaultLoggingOptions() {
-  return toCleanSettingsOrOptions(require('./default-options.json'));
+function isDebugSampled(debugSampleRate) {
+  return debugSampleRate > 0 && Math.random() < debugSampleRate;
 }
 
 /**
- * Returns a clean and complete copy of the default logging options, which are a combination of the options loaded from
- * the local default-options.json file and the static defaults, which are used to fill in any missing options.
- * @returns {LoggingOptions} the complete and clean default options
+ * Returns the given log level elevated to DEBUG (if it is less verbose than DEBUG); otherwise the given log level.
+ * @param {LogLevel|string} logLevel - the log level to elevate
+ * @param {Object.<string, CustomLogLevel>|undefined} [customLevels] - any custom log levels
+ * @returns {LogLevel|string} the elevated log level
  */
-function getDefaultLoggingOptions() {
-  const defaultOptions = loadDefaultLoggingOptions();
-  return defaultOptions ? merge(defaults, defaultOptions) : copy(defaults);
+function elevateToDebug(logLevel, customLevels) {
+  return getLogLevelSeverity(logLevel, customLevels) <= LogLevelSeverity.DEBUG ? logLevel : LogLevel.DEBUG;
 }
 
 /**
- * Returns a clean copy of the given logging options or settings WITHOUT any invalid properties and with a clean
- * logLevel (if it has a valid logLevel) if optionsOrSettings is a non-null object; otherwise returns undefined.
- * @param {LoggingOptions|LoggingSettings|undefined|*} [optionsOrSettings] - optional logging options or settings
- * @returns {LoggingOptions|LoggingSettings|undefined} a clean copy of the given logging options or settings (if any) or undefined
+ * Returns the severity of the given log level, which must be either one of the supported log levels or one of the given
+ * custom log levels (if any).
+ * @param {LogLevel|string} logLevel - the log level
+ * @param {Object.<string, CustomLogLevel>|undefined} [customLevels] - any custom log levels
+ * @returns {number|undefined} the severity of the log level (if valid); otherwise undefined
  */
-function toCleanSettingsOrOptions(optionsOrSettings) {
-  if (!optionsOrSettings || typeof optionsOrSettings !== 'object') return undefined;
+function getLogLevelSeverity(logLevel, customLevels) {
+  return LogLevelSeverity.hasOwnProperty(logLevel) ? LogLevelSeverity[logLevel] :
+    customLevels && customLevels.hasOwnProperty(logLevel) ? customLevels[logLevel].severity : undefined;
+}
 
-  const cleaned = optionsOrSettings ? copy(optionsOrSettings) : {};
+/**
+ * Converts the given log level into the name of its logging method (e.g. 'NOTICE' to 'notice').
+ * @param {LogLevel|string} logLevel - the log level
+ * @returns {string} the name of its logging method
+ */
+function toLevelMethodName(logLevel) {
+  return logLevel.toLowerCase();
+}
 
-  if (isValidLogLevel(cleaned.logLevel)) {
-    cleaned.logLevel = cleanLogLevel(cleaned.logLevel);
-  } else {
-    delete cleaned.logLevel;
-  }
-  if (!isBoolean(cleaned.useLevelPrefixes)) {
-    delete cleaned.useLevelPrefixes;
+/**
+ * Changes the log level of the given target object, which must already have logging functionality configured on it, to
+ * the given log level WITHOUT reconfiguring any of its other logging settings or its underlying logger. Recomputes the
+ * target's enabled flags and swaps its logging functions between real implementations and no-ops accordingly and then
+ * notifies any registered log level change listeners of the change (if the log level actually changed).
+ *
+ * Note that, unlike configureLogging, the given log level is NOT overridden by any log level configured in the
+ * environment variable named by envLogLevelName.
+ *
+ * @param {Logger} target - the target object on which logging functionality was previously configured
+ * @param {LogLevel|string} logLevel - the new log level to use
+ * @returns {Logger} the given target object with its log level changed
+ * @throws {Error} if the target does not have logging configured or if the given log level is invalid
+ */
+function setLogLevel(target, logLevel) {
+  if (!isLoggingConfigured(target) || !target._loggingSettings) {
+    throw new Error(`Cannot set log level (${logLevel}) on a target that does NOT have logging configured`);
   }
-  if (isNotBlank(cleaned.envLogLevelName)) {
-    cleaned.envLogLevelName = cleaned.envLogLevelName.trim();
-  } else {
-    delete cleaned.envLogLevelName;
+  if (!isValidLogLevel(logLevel, target._loggingSettings.customLevels)) {
+    throw new Error(`Cannot set log level to an invalid log level (${logLevel})`);
   }
-  if (!isBoolean(cleaned.useConsoleTrace)) {
-    delete cleaned.useConsoleTrace;
+  const newLogLevel = cleanLogLevel(logLevel);
+
+  // If the target is a named logger, then record its new log level & update any of its descendants that inherit it
+  const entry = getNamedLoggerEntry(target);
+  if (entry) {
+    entry.logLevel = newLogLevel;
+    entry.setAtRuntime = true;
   }
-  if (cleaned.underlyingLogger && !isMinimumViableLogger(cleaned.underlyingLogger)) {
-    console.warn('Skipping configured underlying logger, since it is NOT a minimum viable logger');
-    delete cleaned.underlyingLogger;
+  changeLogLevel(target, newLogLevel, 'setLogLevel');
+  if (entry) {
+    refreshNamedLoggerLogLevels(entry.name);
   }
-  return cleaned;
+  return target;
 }
 
 /**
- * Returns true if the given log level is a valid logging level; otherwise returns false.
- * @param {LogLevel|string|undefined} [logLevel] - the optional log level to validate
- * @returns {boolean} true if a valid logging level; false otherwise
+ * Returns a copy of the effective logging settings of the given target, which must already have logging functionality
+ * configured on it, i.e. the finalised settings with which it was configured, but with its current (possibly elevated)
+ * log level and its actual underlying logger.
+ * @param {Logger} target - the target object on which logging functionality was previously configured
+ * @returns {LoggingSettings} a copy of the target's effective logging settings
+ * @throws {Error} if the target does not have logging configured
  */
-function isValidLogLevel(logLevel) {
-  const level = cleanLogLevel(logLevel);
-  switch (level) {
-    case LogLevel.ERROR:
-    case LogLevel.WARN:
-    case LogLevel.INFO:
-    case LogLevel.DEBUG:
-    case LogLevel.TRACE:
-      return true;
-    default:
-      return false;
+function getLoggingSettings(target) {
+  if (!isLoggingConfigured(target) || !target._loggingSettings) {
+    throw new Error('Cannot get the logging settings of a target that does NOT have logging configured');
   }
+  const settings = copy(target._loggingSettings);
+  delete settings.debugSampled;
+  settings.logLevel = target.logLevel;
+  settings.underlyingLogger = target._underlyingLogger;
+  return settings;
 }
 
 /**
- * Cleans the given log level (if any) by trimming it and converting it to uppercase.
- * @param {LogLevel} logLevel
- * @returns {LogLevel} the cleaned log level
+ * Explains the logging configuration of the given target, which must already have logging functionality configured on
+ * it, by returning each of its effective logging settings (see getLoggingSettings) together with the source of its
+ * value, which is one of:
+ * - 'settings' or 'options' - the settings or options passed to configureLogging (or the settings passed to getLogger)
+ * - 'environment variable <name>' - an environment variable (e.g. LOG_LEVEL, LOG_LEVELS or LOG_FORMAT)
+ * - 'LOGGING_CONFIG_FILE file (<path>)', 'package.json (<path>)' or 'default-options.json' - a default options file
+ * - 'defaults' - the static defaults
+ * - 'setLogLevel' - a log level changed at runtime
+ * - 'child settings' or 'child bindings' - the settings or bindings passed to child (with any other settings of a child
+ *   logger having the same sources as its parent's settings)
+ * @param {Logger} target - the target object on which logging functionality was previously configured
+ * @returns {Object.<string, {value: *, source: string}>} each of the target's effective settings & its source
+ * @throws {Error} if the target does not have logging configured
  */
-function cleanLogLevel(logLevel) {
-  return logLevel && logLevel.trim ? logLevel.trim().toUpperCase() : logLevel;
+function explainLoggingConfiguration(target) {
+  const settings = getLoggingSettings(target);
+  const sources = target._loggingSources || {};
+  const explanation = {};
+  Object.keys(settings).forEach(key => {
+    explanation[key] = {value: settings[key], source: sources[key] || 'unknown'};
+  });
+  const configuredLogLevel = target._loggingSettings.logLevel;
+  if (target.logLevel !== configuredLogLevel) {
+    explanation.logLevel.source = `debug sampling (elevated from ${configuredLogLevel} set by ${explanation.logLevel.source})`;
+  }
+  return explanation;
 }
 
 /**
- * Extracts the log level prefix (if any) and returns it and the rest of the input; otherwise returns undefined and the
- * original input.
- * @param {string|*} input - the input to split
- * @returns {[(LogLevel|undefined), (string|*)]} an array containing the log level (if extracted) or undefined followed
- * by the rest of the input trimmed (if level was extracted) or the original input
+ * Changes the log level of the given configured target to the given clean log level (if different) and then notifies
+ * any registered log level change listeners of the change. Note that if the target's log level was elevated to DEBUG by
+ * debug sampling, then its effective log level remains elevated.
+ * @param {Logger} target - the target object on which logging functionality was previously configured
+ * @param {LogLevel} logLevel - the new, clean log level to use
+ * @param {string} source - the source of the new log level (see explainLoggingConfiguration)
  */
-function extractLogLevelAndRest(input) {
-  const match = levelPrefixedRegex.exec(input);
-  if (!match) return [undefined, input];
-  return [match[1], trim(match[2])];
+function changeLogLevel(target, logLevel, source) {
+  if (target._loggingSources) {
+    target._loggingSources.logLevel = source;
+  }
+  const oldLogLevel = target.logLevel;
+  const customLevels = target._loggingSettings.customLevels;
+  const newLogLevel = target.debugSampled ? elevateToDebug(logLevel, customLevels) : logLevel;
+  if (newLogLevel === oldLogLevel) {
+    target._loggingSettings.logLevel = logLevel;
+    return;
+  }
+
+  // Reconfigure the target with a copy of its current settings, but with the new log level
+  const settings = copy(target._loggingSettings);
+  settings.logLevel = logLevel;
+  settings.underlyingLogger = target._underlyingLogger;
+  _configureLogging(target, settings);
+
+  // Notify any registered listeners of the change
+  notifyLogLevelChangeListeners(target, newLogLevel, oldLogLevel);
 }
 
 /**
- * Checks whether the given logger is either console or a minimum viable logger-like object, which means that it must
- * have AT LEAST a `log` method and an `error` method.
- * @param {Logger|BasicLogger|*} logger - the logger to be checked
- * @returns {boolean} true if console or a valid (minimum viable) logger-like object; false otherwise
+ * Notifies all registered log level change listeners that the log level of the given target changed.
+ * @param {Logger} target - the target whose log level changed
+ * @param {LogLevel} newLogLevel - the target's new log level
+ * @param {LogLevel} oldLogLevel - the target's old log level
  */
-function isMinimumViableLogger(logger) {
-  return logger === console || (logger && typeof logger.log === 'function' && typeof logger.error === 'function');
+function notifyLogLevelChangeListeners(target, newLogLevel, oldLogLevel) {
+  for (let i = 0; i < logLevelChangeListeners.length; ++i) {
+    try {
+      logLevelChangeListeners[i](target, newLogLevel, oldLogLevel);
+    } catch (err) {
+      console.error(`Log level change listener failed`, err);
+    }
+  }
 }
 
 /**
- * Resolves the given logger's named logging function, binds it to the given logger and then either returns the bound
- * function (if `useLogLevelPrefix` is false) or wraps it in a function that will also prepend the given
- * `logLevelPrefix` to any first argument before invoking the bound function.
- * @param {Logger|BasicLogger} logger - the underlying logger from which the logging function originates
- * @param {string} loggingFnName - the name of the logger's logging function to use
- * @param {boolean} useLogLevelPrefix - whether the returned function must prepend the given log-level prefix to its first argument or not
- * @param {string} logLevelPrefix - the prefix to prepend
- * @return {logWithPrefix} a bound and possibly prefix pre-pending logging function that delegates to the named & bound logging function
+ * Registers the given listener to be notified of every log level change made via setLogLevel.
+ * @param {function(target: Logger, newLogLevel: LogLevel, oldLogLevel: LogLevel)} listener - the listener to add
  */
-function resolveLoggingFunction(logger, loggingFnName, useLogLevelPrefix, logLevelPrefix) {
-  // Bind the relevant log function to its appropriate logger
-  const loggingFn = logger[loggingFnName].bind(logger);
-
-  // Note that we skip adding a prefix when using console.trace, since it already includes its own prefix 'Trace: '
-  if (!useLogLevelPrefix || (logger === console && loggingFnName === 'trace')) {
-    return loggingFn;
+function addLogLevelChangeListener(listener) {
+  if (typeof listener !== 'function') {
+    throw new Error(`Cannot add a log level change listener that is NOT a function (${stringify(listener)})`);
   }
-
-  function logWithPrefix() {
-    if (arguments.length > 0) {
-      const arg0 = arguments[0];
-      if (!isString(arg0) || !arg0.startsWith(logLevelPrefix)) {
-        arguments[0] = `${logLevelPrefix} ${arg0 instanceof Error && arg0.stack ? arg0.stack : arg0}`;
-      }
-    }
-    return loggingFn.apply(null, arguments); // prior bind takes precedence over any apply (so just apply with null)
+  if (logLevelChangeListeners.indexOf(listener) === -1) {
+    logLevelChangeListeners.push(listener);
   }
-
-  return logWithPrefix;
 }
 
 /**
- * A convenience function that delegates the logging to the log method of either the given logger (if its defined and
- * has a log or info method) or to console (if not)
- * @param {Logger|BasicLogger|undefined} [logger] - the optional logger to use
- * @param {...*} data - zero or more data items to be logged
+ * Deregisters the given listener (if previously registered).
+ * @param {function(target: Logger, newLogLevel: LogLevel, oldLogLevel: LogLevel)} listener - the listener to remove
+ * @returns {boolean} true if the listener was removed; false otherwise
  */
-function log(logger, data) {
-  // Collect all arguments other than logger
-  const len = arguments.length;
-  if (len <= 0) {
+function removeLogLevelChangeListener(listener) {
+  const index = logLevelChangeListeners.indexOf(listener);
+  if (index !== -1) {
+    logLevelChangeListeners.splice(index, 1);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Returns the named logger with the given dot-separated, hierarchical name (e.g. 'orders.db.pool'), creating, configuring
+ * and caching it on first use. Subsequent calls with the same name return the same cached logger (and ignore any given
+ * settings).
+ *
+ * The log level of a named logger is resolved as follows (in order of precedence):
+ * 1. Its own log level, if it was changed at runtime via setLogLevel;
+ * 2. The log level of the most specific matching pattern (if any) in the LOG_LEVELS environment variable, which holds a
+ *    comma-separated list of `pattern=LEVEL` pairs (e.g. "orders.*=DEBUG,orders.db=WARN"), where a pattern without
+ *    wildcards matches the named logger and all of its descendants and `*` matches any sequence of characters;
+ * 3. The log level explicitly configured on itself or on its nearest configured ancestor (via the logLevel setting of
+ *    getLogger or via setLogLevel); and otherwise
+ * 4. The log level resolved by the same rules as configureLogging (i.e. from envLogLevelName, settings & defaults).
+ *
+ * @param {string|undefined} [name] - the dot-separated name of the logger (defaults to '', i.e. the root logger)
+ * @param {LoggingSettings|LoggingOptions|undefined} [settings] - optional logging settings to use (ONLY on creation)
+ * @returns {Logger} the cached, configured, named logger
+ */
+function getLogger(name, settings) {
+  name = isNotBlank(name) ? name.trim() : '';
+
+  const existing = namedLoggers.get(name);
+  if (existing) {
+    return existing.logger;
+  }
+
+  const entry = {
+    name: name,
+    logger: {},
+    settings: settings,
+    logLevel: settings && isValidLogLevel(settings.logLevel) ? cleanLogLevel(settings.logLevel) : undefined,
+    setAtRuntime: false,
+    defaultLogLevel: undefined,
+    defaultLogLevelSource: undefined
+  };
+  namedLoggers.set(name, entry);
+  try {
+    configureNamedLogger(entry);
+  } catch (err) {
+    namedLoggers.delete(name);
+    throw err;
+  }
+
+  // If this logger has an explicit log level, then any of its existing descendants may need to inherit it
+  if (entry.logLevel) {
+    refreshNamedLoggerLogLevels(name);
+  }
+  return entry.logger;
+}
+
+/**
+ * Configures (or reconfigures) the logger of the given named logger entry by resolving its settings from the settings
+ * with which it was created and the current default options & environment.
+ * @param {NamedLoggerEntry} entry - the named logger entry
+ */
+function configureNamedLogger(entry) {
+  const sources = {};
+  const loggingSettings = resolveLoggingSettings(entry.settings, undefined, sources);
+  loggingSettings.name = entry.name;
+  sources.name = 'getLogger';
+
+  entry.defaultLogLevel = loggingSettings.logLevel;
+  entry.defaultLogLevelSource = sources.logLevel;
+
+  loggingSettings.logLevel = resolveNamedLoggerLogLevel(entry, sources);
+  _configureLogging(entry.logger, loggingSettings);
+  entry.logger._loggingSources = sources; // for explainLoggingConfiguration
+  logConfiguration(entry.logger, loggingSettings);
+}
+
+/**
+ * Returns the named logger entry for the given target (if it is a named logger created by getLogger); otherwise
+ * undefined.
+ * @param {Logger} target - the target to look up
+ * @returns {NamedLoggerEntry|undefined} the named logger entry (if any)
+ */
+function getNamedLoggerEntry(target) {
+  const name = target && target._loggingSettings ? target._loggingSettings.name : undefined;
+  const entry = isString(name) ? namedLoggers.get(name) : undefined;
+  return entry && entry.logger === target ? entry : undefined;
+}
+
+/**
+ * Returns the name of the parent of the given named logger name (or undefined if the given name is the root name).
+ * @param {string} name - the dot-separated name
+ * @returns {string|undefined} the parent name (if any)
+ */
+function getParentName(name) {
+  if (!name) return undefined;
+  const lastDot = name.lastIndexOf('.');
+  return lastDot !== -1 ? name.substring(0, lastDot) : '';
+}
+
+/**
+ * Resolves the log level of the given named logger entry (see getLogger for the order of precedence).
+ * @param {NamedLoggerEntry} entry - the named logger entry
+ * @param {Object.<string, string>|undefined} [sources] - an optional map in which to record the source of the log level
+ * @returns {LogLevel} the log level to use
+ */
+function resolveNamedLoggerLogLevel(entry, sources) {
+  const resolved = resolveNamedLoggerLogLevelAndSource(entry);
+  if (sources) {
+    sources.logLevel = resolved.source;
+  }
+  return resolved.logLevel;
+}
+
+/**
+ * Resolves the log level of the given named logger entry and its source (see resolveNamedLoggerLogLevel).
+ * @param {NamedLoggerEntry} entry - the named logger entry
+ * @returns {{logLevel: LogLevel, source: string}} the log level to use & its source
+ */
+function resolveNamedLoggerLogLevelAndSource(entry) {
+  if (entry.setAtRuntime) {
+    return {logLevel: entry.logLevel, source: 'setLogLevel'};
+  }
+  const patternLogLevel = matchLogLevelPatterns(entry.name);
+  if (patternLogLevel) {
+    return {logLevel: patternLogLevel, source: `environment variable ${envLogLevelPatternsName}`};
+  }
+  for (let name = entry.name; name !== undefined; name = getParentName(name)) {
+    const ancestor = namedLoggers.get(name);
+    if (ancestor && ancestor.logLevel) {
+      const source = name === entry.name ? 'settings' :
+        ancestor.setAtRuntime ? `setLogLevel on logger '${name}'` : `settings of logger '${name}'`;
+      return {logLevel: ancestor.logLevel, source: source};
+    }
+  }
+  return {logLevel: entry.defaultLogLevel, source: entry.defaultLogLevelSource};
+}
+
+/**
+ * Re-resolves and updates the log levels of all named loggers that are descendants of the named logger with the given
+ * name, e.g. after its log level was changed.
+ * @param {string} name - the name of the ancestor logger
+ */
+function refreshNamedLoggerLogLevels(name) {
+  const prefix = name ? `${name}.` : '';
+  namedLoggers.forEach(entry => {
+    if (entry.name !== name && entry.name.startsWith(prefix)) {
+      const resolved = resolveNamedLoggerLogLevelAndSource(entry);
+      changeLogLevel(entry.logger, resolved.logLevel, resolved.source);
+    }
+  });
+}
+
+/**
+ * Returns the log level of the most specific log level pattern in the LOG_LEVELS environment variable that matches the
+ * given name (if any); otherwise undefined.
+ * @param {string} name - the named logger's name
+ * @returns {LogLevel|undefined} the matching log level (if any)
+ */
+function matchLogLevelPatterns(name) {
+  const patterns = getLogLevelPatterns();
+  let match = undefined;
+  for (let i = 0; i < patterns.length; ++i) {
+    const pattern = patterns[i];
+    if (pattern.regex.test(name) && (!match || pattern.specificity >= match.specificity)) {
+      match = pattern;
+    }
+  }
+  return match ? match.logLevel : undefined;
+}
+
+/**
+ * Returns the log level patterns parsed from the current value of the LOG_LEVELS environment variable (re-parsing it
+ * only when its value has changed).
+ * @returns {LogLevelPattern[]} the parsed log level patterns
+ */
+function getLogLevelPatterns() {
+  const text = process.env[envLogLevelPatternsName] || '';
+  if (text !== logLevelPatterns.text) {
+    logLevelPatterns.text = text;
+    logLevelPatterns.patterns = parseLogLevelPatterns(text);
+  }
+  return logLevelPatterns.patterns;
+}
+
+/**
+ * Parses the given comma-separated list of `pattern=LEVEL` pairs into log level patterns, skipping any invalid pairs.
+ * @param {string} text - the text to parse (e.g. "orders.*=DEBUG,orders.db=WARN")
+ * @returns {LogLevelPattern[]} the parsed log level patterns
+ */
+function parseLogLevelPatterns(text) {
+  const patterns = [];
+  text.split(',').forEach(pair => {
+    const index = pair.lastIndexOf('=');
+    const pattern = index !== -1 ? pair.substring(0, index).trim() : '';
+    const logLevel = index !== -1 ? pair.substring(index + 1) : undefined;
+    if (!pattern || !isValidLogLevel(logLevel)) {
+      if (pair.trim()) console.warn(`Skipping invalid log level pattern (${pair.trim()}) in ${envLogLevelPatternsName}`);
+      return;
+    }
+    const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    // A pattern without wildcards matches the named logger itself and all of its descendants
+    const regex = new RegExp(pattern.indexOf('*') === -1 ? `^${escaped}(\\..*)?$` : `^${escaped}$`);
+    patterns.push({regex: regex, specificity: pattern.replace(/\*/g, '').length, logLevel: cleanLogLevel(logLevel)});
+  });
+  return patterns;
+}
+
+/**
+ * Runs the given function within a new log context containing the fields of the current log context (if any) and the
+ * given fields (which take precedence), such that every logger configured by this module will add these fields to every
+ * message that it logs during the function's execution - including during any asynchronous operations started by the
+ * function (when AsyncLocalStorage is supported by this version of Node.js; otherwise ONLY during the function's
+ * synchronous execution). Note that a logger's own bindings take precedence over any log context fields.
+ * @param {Object|undefined} fields - the fields to add to every message logged (e.g. {correlationId: 'abc'})
+ * @param {function(): *} fn - the function to run
+ * @returns {*} the result of the function
+ * @throws {Error} if fn is NOT a function
+ */
+function runWithLogContext(fields, fn) {
+  if (typeof fn !== 'function') {
+    throw new Error(`Cannot run with a log context without a function (${stringify(fn)})`);
+  }
+  const logContext = Object.assign({}, getLogContext(), fields && typeof fields === 'object' ? fields : undefined);
+
+  if (logContextStorage) {
+    return logContextStorage.run(logContext, fn);
+  }
+
+  // Fallback to a synchronous log context on older versions of Node.js without AsyncLocalStorage
+  const previousLogContext = syncLogContext;
+  syncLogContext = logContext;
+  try {
+    return fn();
+  } finally {
+    syncLogContext = previousLogContext;
+  }
+}
+
+/**
+ * Returns the fields of the current log context (if any) established by runWithLogContext.
+ * @returns {Object|undefined} the fields of the current log context (if any); otherwise undefined
+ */
+function getLogContext() {
+  return logContextStorage ? logContextStorage.getStore() : syncLogContext;
+}
+
+/**
+ * Returns the (optionally redacted) fields of the current log context (if it has any fields); otherwise undefined.
+ * @param {function(value: *): *|undefined} [redact] - an optional function with which to redact the fields
+ * @returns {Object|undefined} the fields of the current log context (if any)
+ */
+function getLogContextFields(redact) {
+  const logContext = getLogContext();
+  if (!logContext || Object.keys(logContext).length <= 0) {
+    return undefined;
+  }
+  return redact ? redact(logContext) : logContext;
+}
+
+/**
+ * Creates an AsyncLocalStorage in which to keep the fields of the current log context, if AsyncLocalStorage is
+ * supported by this version of Node.js.
+ * @returns {AsyncLocalStorage|undefined} a new AsyncLocalStorage (if supported); otherwise undefined
+ */
+function createLogContextStorage() {
+  try {
+    const asyncHooks = require('async_hooks');
+    return typeof asyncHooks.AsyncLocalStorage === 'function' ? new asyncHooks.AsyncLocalStorage() : undefined;
+  } catch (err) {
+    return undefined;
+  }
+}
+
+/**
+ * Combines the given bindings with the given log context fields, giving precedence to the bindings.
+ * @param {Object|undefined} bindings - the bindings (if any)
+ * @param {Object} contextFields - the log context fields
+ * @returns {Object} the combined fields
+ */
+function combineFields(bindings, contextFields) {
+  const fields = Object.assign({}, bindings);
+  Object.keys(contextFields).forEach(key => {
+    if (!fields.hasOwnProperty(key)) fields[key] = contextFields[key];
+  });
+  return fields;
+}
+
+/**
+ * Configures the given target object with logging functionality using the given logging settings.
+ * @param {Object} target the target object to which to add the logging functionality
+ * @param {LoggingSettings} settings - the logging settings to configure
+ * @returns {Logger} the updated target object with logging functionality configured
+ * @private
+ */
+function _configureLogging(target, settings) {
+  // If this configuration was sampled for debugging, then elevate its log level to at least DEBUG
+  const debugSampled = !!settings.debugSampled;
+  const customLevels = settings.customLevels;
+  const logLevel = debugSampled ? elevateToDebug(settings.logLevel, customLevels) : settings.logLevel;
+  const logger = isMinimumViableLogger(settings.underlyingLogger) ? settings.underlyingLogger : console;
+  const multipleLoggers = Array.isArray(logger);
+
+  // Resolve the destinations to which every logging call must be fanned out & check their underlying loggers
+  const destinations = multipleLoggers ? logger.map(toDestination) : [{logger: logger}];
+  destinations.forEach(destination => checkUnderlyingLogger(destination.logger));
+
+  // Create a redactor (if redaction is configured) & use it to redact any bindings up-front
+  const redact = createRedactor(settings.redaction);
+  if (redact && settings.bindings) {
+    settings = copy(settings);
+    settings.bindings = redact(settings.bindings);
+  }
+
+  // Reuse or create a throttle (if deduplication and/or rate limiting is configured)
+  const throttle = resolveThrottle(target, settings);
+
+  // Collect the optional stages through which every logging call must pass before being formatted & logged
+  const stages = {redact: redact, throttle: throttle};
+
+  // Create a debug buffer (if configured) in which to capture suppressed DEBUG & TRACE calls until the next error
+  const debugBuffer = createDebugBuffer(target, settings.debugBufferSize);
+
+  // Use log level's severity to determine which levels are enabled
+  const severity = getLogLevelSeverity(logLevel, customLevels) || LogLevelSeverity.ERROR;
+  const traceEnabled = severity <= LogLevelSeverity.TRACE;
+  const debugEnabled = severity <= LogLevelSeverity.DEBUG;
+  const infoEnabled = severity <= LogLevelSeverity.INFO;
+  const warnEnabled = severity <= LogLevelSeverity.WARN;
+  const errorEnabled = severity <= LogLevelSeverity.ERROR;
+
+  // Resolve the logging functions, which will fan out each call to every destination that accepts its level (NB: fatal
+  // messages are redacted, but are never throttled)
+  const fatalFn = resolveLoggingFunction(destinations, 'fatal', 'FATAL', settings, {redact: redact});
+  const fatal = resolveFatalFunction(debugBuffer ? debugBuffer.flushBefore(fatalFn) : fatalFn, settings, throttle);
+  const errorFn = errorEnabled ? resolveLoggingFunction(destinations, 'error', 'ERROR', settings, stages) : noop;
+  const error = errorEnabled && debugBuffer ? debugBuffer.flushBefore(errorFn) : errorFn;
+  const warn = warnEnabled ? resolveLoggingFunction(destinations, 'warn', 'WARN', settings, stages) : noop;
+  const info = infoEnabled ? resolveLoggingFunction(destinations, 'info', 'INFO', settings, stages) : noop;
+
+  // Capture suppressed DEBUG & TRACE calls in the debug buffer (if any); otherwise ignore them
+  const debugFn = debugEnabled || debugBuffer ?
+    resolveLoggingFunction(destinations, 'debug', 'DEBUG', settings, stages) : noop;
+  const debug = debugEnabled ? debugFn : debugBuffer ? debugBuffer.capture(debugFn) : noop;
+  const traceFn = traceEnabled || debugBuffer ?
+    resolveLoggingFunction(destinations, 'trace', 'TRACE', settings, stages) : noop;
+  const trace = traceEnabled ? traceFn : debugBuffer ? debugBuffer.capture(traceFn) : noop;
+
+  // To enable the underlying logger's log method's output to ALSO be suppressed, treat it as if it logs at INFO level
+  // (i.e. it will be suppressed if infoEnabled is false), but prefix it with 'LOG' instead of 'INFO' (to distinguish it
+  // from INFO logging output) when useLevelPrefixes is true
+  const log = infoEnabled ? resolveLoggingFunction(destinations, 'log', 'LOG', settings, stages) : noop;
+
+  // Add the logging functionality to the given target object
+  target.logLevel = logLevel; // for info and testing purposes
+  target.debugSampled = debugSampled; // whether the log level was elevated to DEBUG by debug sampling or not
+  target._underlyingLogger = logger; // for testing purposes & for child loggers
+  target.fatalEnabled = true; // fatal messages can never be suppressed
+  target.errorEnabled = errorEnabled;
+  target.warnEnabled = warnEnabled;
+  target.infoEnabled = infoEnabled;
+  target.debugEnabled = debugEnabled;
+  target.traceEnabled = traceEnabled;
+  target.fatal = fatal;
+  target.error = error;
+  target.warn = warn;
+  target.info = info;
+  target.debug = debug;
+  target.trace = trace;
+  target.log = extendLogFunction(target, log, customLevels);
+  target.flushBuffer = debugBuffer ? debugBuffer.flush : flushNothing;
+  target.flushThrottle = throttle ? () => throttle.flush(true) : noop;
+  configureCustomLevels(target, settings, destinations, stages, severity);
+  target.child = generateChildFunction(target);
+  target.time = generateTimeFunction(target);
+  target.timeEnd = generateTimeEndFunction(target);
+  target.startTimer = generateStartTimerFunction(target);
+  target.wrap = generateWrapFunction(target);
+  target._loggingSettings = settings; // for child loggers
+
+  return target;
+}
+
+/**
+ * Adds a logging method (named after the level in lowercase) and an enabled flag (e.g. `noticeEnabled`) to the given
+ * target for each of the custom log levels in the given settings (if any), after removing those of any custom log
+ * levels that were previously configured on the target, but that are no longer configured.
+ * @param {Logger} target - the target object onto which logging functionality is being installed
+ * @param {LoggingSettings} settings - the logging settings being configured
+ * @param {LoggingDestination[]} destinations - the destinations to which to log
+ * @param {LoggingStages} stages - the optional stages through which every logging call must pass
+ * @param {number} severity - the severity of the target's log level
+ */
+function configureCustomLevels(target, settings, destinations, stages, severity) {
+  const customLevels = settings.customLevels;
+  const previousSettings = target._loggingSettings;
+  const previousCustomLevels = previousSettings && previousSettings.customLevels;
+  if (previousCustomLevels) {
+    const removedNames = Object.keys(previousCustomLevels)
+      .filter(name => !customLevels || !customLevels.hasOwnProperty(name));
+    removedNames.forEach(name => {
+      const methodName = toLevelMethodName(name);
+      delete target[methodName];
+      delete target[`${methodName}Enabled`];
+    });
+  }
+  if (!customLevels) {
+    return;
+  }
+  Object.keys(customLevels).forEach(name => {
+    const customLevel = customLevels[name];
+    const methodName = toLevelMethodName(name);
+    const enabled = customLevel.severity >= severity;
+    target[`${methodName}Enabled`] = enabled;
+    target[methodName] = enabled ? resolveLoggingFunction(destinations, customLevel.method || methodName, name,
+      settings, stages, toFallbackFunctionName(customLevel.severity)) : noop;
+  });
+}
+
+/**
+ * Returns the name of the logging function of the most severe of the supported log levels that is NOT more severe than
+ * the given severity (or 'trace' if none), which is used as the fallback for custom log levels.
+ * @param {number} severity - the severity of a custom log level
+ * @returns {string} the name of the fallback logging function
+ */
+function toFallbackFunctionName(severity) {
+  const levels = Object.keys(LogLevelSeverity).filter(level => LogLevelSeverity[level] <= severity);
+  return levels.length > 0 ? toLevelMethodName(levels[0]) : 'trace';
+}
+
+/**
+ * Resolves the fatal logging function to use, which will also flush any pending throttling summaries & then flush any
+ * pending standard output & error before exiting the process with the configured fatalExitCode, if exitOnFatal is true.
+ * @param {function(...*)} fatalFn - the fatal logging function
+ * @param {LoggingSettings} settings - the logging settings being configured
+ * @param {Throttle|undefined} [throttle] - the throttle (if any)
+ * @returns {function(...*)} the fatal logging function to use
+ */
+function resolveFatalFunction(fatalFn, settings, throttle) {
+  if (!settings.exitOnFatal) {
+    return fatalFn;
+  }
+  const exitCode = Number.isInteger(settings.fatalExitCode) ? settings.fatalExitCode : defaults.fatalExitCode;
+
+  function exit() {
+    if (throttle) {
+      throttle.flush(true);
+    }
+    exitAfterFlushing(exitCode);
+  }
+
+  function logFatalAndExit() {
+    const logged = fatalFn.apply(null, arguments);
+    // If an asynchronous lazy message is being logged, then wait for it to be logged before exiting
+    if (logged && typeof logged.then === 'function') {
+      logged.then(exit, exit);
+    } else {
+      exit();
+    }
+  }
+
+  return logFatalAndExit;
+}
+
+/**
+ * Exits the process with the given exit code once any pending writes to standard output & standard error have been
+ * flushed.
+ * @param {number} exitCode - the exit code with which to exit the process
+ */
+function exitAfterFlushing(exitCode) {
+  process.exitCode = exitCode;
+  const streams = [process.stdout, process.stderr].filter(stream => stream && typeof stream.write === 'function');
+  let pending = streams.length;
+  if (pending <= 0) {
+    process.exit(exitCode);
+    return;
+  }
+  // An empty write's callback is only invoked once all of the stream's prior writes have been flushed
+  streams.forEach(stream => stream.write('', () => {
+    if (--pending === 0) process.exit(exitCode);
+  }));
+}
+
+/**
+ * Resolves the throttle to use for the given target, i.e. reuses its existing (or its parent's shared) throttle, if that
+ * was created with the same throttling settings, so that repeated messages are still suppressed after reconfiguration
+ * & across child loggers; otherwise creates a new throttle (if deduplication and/or rate limiting is configured).
+ * @param {Logger} target - the target object onto which logging functionality is being installed
+ * @param {LoggingSettings} settings - the logging settings being configured
+ * @returns {Throttle|undefined} the throttle to use (if throttling is enabled); otherwise undefined
+ */
+function resolveThrottle(target, settings) {
+  const existing = throttles.get(target);
+  if (existing && existing.dedupeWindowMs === settings.dedupeWindowMs &&
+    existing.maxMessagesPerSecond === settings.maxMessagesPerSecond) {
+    return existing.throttle;
+  }
+  const throttle = createThrottle(settings);
+  if (throttle) {
+    throttles.set(target, {
+      throttle: throttle,
+      dedupeWindowMs: settings.dedupeWindowMs,
+      maxMessagesPerSecond: settings.maxMessagesPerSecond
+    });
+  } else {
+    throttles.delete(target);
+  }
+  return throttle;
+}
+
+/**
+ * Creates a new debug buffer, which is a bounded ring buffer in which to capture suppressed logging calls until they
+ * are flushed, if the given debug buffer size is positive; otherwise discards any calls previously captured for the
+ * given target & returns undefined. Any calls previously captured for the given target (before it was reconfigured) are
+ * retained (up to the given size). Note that the arguments of each captured call are captured by reference and are only
+ * formatted when flushed.
+ * @param {Logger} target - the target object onto which logging functionality is being installed
+ * @param {number|undefined} [debugBufferSize] - the maximum number of logging calls to capture
+ * @returns {DebugBuffer|undefined} a new debug buffer (if enabled); otherwise undefined
+ */
+function createDebugBuffer(target, debugBufferSize) {
+  const size = debugBufferSize > 0 ? Math.floor(debugBufferSize) : 0;
+  if (size <= 0) {
+    debugBufferEntries.delete(target);
+    return undefined;
+  }
+  let entries = debugBufferEntries.get(target);
+  if (!entries) {
+    entries = [];
+    debugBufferEntries.set(target, entries);
+  } else if (entries.length > size) {
+    entries.splice(0, entries.length - size); // discard the oldest captured calls
+  }
+
+  function capture(loggingFn) {
+    return function logToBuffer() {
+      entries.push({loggingFn: loggingFn, args: Array.prototype.slice.call(arguments)});
+      if (entries.length > size) {
+        entries.shift(); // discard the oldest captured call
+      }
+    };
+  }
+
+  /**
+   * Logs & discards all of the logging calls captured in the debug buffer (in the order in which they were made).
+   * @returns {number} the number of logging calls flushed
+   */
+  function flush() {
+    const flushed = entries.splice(0, entries.length);
+    flushed.forEach(entry => entry.loggingFn.apply(null, entry.args));
+    return flushed.length;
+  }
+
+  function flushBefore(loggingFn) {
+    return function logAfterFlush() {
+      flush();
+      return loggingFn.apply(null, arguments);
+    };
+  }
+
+  return {capture: capture, flush: flush, flushBefore: flushBefore};
+}
+
+/**
+ * The flushBuffer function of loggers without a debug buffer.
+ * @returns {number} always zero
+ */
+function flushNothing() {
+  return 0;
+}
+
+/**
+ * Checks that the given underlying logger has at least an info method or a log method & warns if it lacks either.
+ * @param {Logger|BasicLogger} logger - the underlying logger to check
+ * @throws {Error} if the underlying logger has neither a log method nor an info method
+ */
+function checkUnderlyingLogger(logger) {
+  const usingConsole = logger === console;
+  const hasInfoMethod = usingConsole || typeof logger.info === 'function';
+  const hasLogMethod = usingConsole || typeof logger.log === 'function';
+
+  if (!hasLogMethod && !hasInfoMethod) {
+    throw new Error(`FATAL: Cannot configure logging with an underlying logger that has neither a log method nor an info method - logger (${stringify(logger)})`);
+  }
+  if (!hasLogMethod) {
+    console.warn('WARNING - The configured underlying logger has NO log method - falling back to using its info method');
+  }
+  if (!hasInfoMethod) {
+    console.warn('WARNING - The configured underlying logger has NO info method - falling back to using its log method');
+  }
+}
+
+/**
+ * Converts the given valid destination (i.e. either a minimum viable logger or a LoggingDestination) into a clean
+ * LoggingDestination.
+ * @param {LoggingDestination|Logger|BasicLogger} destination - the destination to convert
+ * @returns {LoggingDestination} a clean destination
+ */
+function toDestination(destination) {
+  if (isMinimumViableLogger(destination)) {
+    return {logger: destination};
+  }
+  return {
+    logger: destination.logger,
+    logLevel: isValidLogLevel(destination.logLevel) ? cleanLogLevel(destination.logLevel) : undefined,
+    format: isValidLogFormat(destination.format) ? cleanLogFormat(destination.format) : undefined
+  };
+}
+
+/**
+ * Resolves the name of the given logger's method to use for the given logging function name, falling back to using
+ * other methods when the logger does not have the named method.
+ * @param {Logger|BasicLogger} logger - the underlying logger
+ * @param {string} loggingFnName - the name of the logging function (i.e. 'fatal', 'error', 'warn', 'info', 'debug', 'trace' or 'log')
+ * @param {boolean|undefined} [useConsoleTrace] - whether to use console.trace or not for trace level logging
+ * @param {string|undefined} [fallbackFnName] - the name of the logging function to fallback to for any other name (e.g.
+ * the method of a custom log level), when the logger does NOT have the named method (defaults to 'error')
+ * @returns {string} the name of the logger's method to use
+ */
+function resolveLoggingFunctionName(logger, loggingFnName, useConsoleTrace, fallbackFnName) {
+  const usingConsole = logger === console;
+  switch (loggingFnName) {
+    case 'fatal':
+      // Use logger's fatal method (if it has one), but otherwise fallback to using logger.error
+      return !usingConsole && typeof logger.fatal === 'function' ? 'fatal' : 'error';
+
+    case 'warn':
+      // Use logger's warn method, but fallback to using logger.error if it has no logger.warn method
+      return usingConsole || typeof logger.warn === 'function' ? 'warn' : 'error';
+
+    case 'info':
+      // Use logger's info method, but fallback to using logger.log if it has no logger.info
+      return usingConsole || typeof logger.info === 'function' ? 'info' : 'log';
+
+    case 'debug':
+      // Use logger's debug method, but fallback to using the info function name if it has no logger.debug method
+      return usingConsole ? 'info' : typeof logger.debug === 'function' ? 'debug' :
+        resolveLoggingFunctionName(logger, 'info', useConsoleTrace);
+
+    case 'trace':
+      // Use logger's trace method, but fallback to using the debug function name if it has no logger.trace method
+      return usingConsole ? (useConsoleTrace ? 'trace' : 'info') : typeof logger.trace === 'function' ? 'trace' :
+        resolveLoggingFunctionName(logger, 'debug', useConsoleTrace);
+
+    case 'log':
+      // Use logger's log method, but fallback to using logger.info if it has no logger.log method, which is NOT
+      // technically a proper replacement for a log method, but nevertheless ...
+      return usingConsole || typeof logger.log === 'function' ? 'log' :
+        resolveLoggingFunctionName(logger, 'info', useConsoleTrace);
+
+    default:
+      // Use logger's named method (e.g. the method of a custom log level), but fallback to using the fallback function
+      return typeof logger[loggingFnName] === 'function' ? loggingFnName :
+        resolveLoggingFunctionName(logger, fallbackFnName || 'error', useConsoleTrace);
+  }
+}
+
+/**
+ * Returns true if messages logged at the given level must be logged by a destination with the given minimum log level
+ * (if any); otherwise returns false. Note that 'LOG' level messages are treated as INFO level messages.
+ * @param {LogLevel|undefined} logLevel - the destination's minimum log level (if any)
+ * @param {string} level - the level of the messages
+ * @param {Object.<string, CustomLogLevel>|undefined} [customLevels] - any custom log levels
+ * @returns {boolean} true if enabled; false otherwise
+ */
+function isLevelEnabledAt(logLevel, level, customLevels) {
+  if (!logLevel) return true;
+  return getLogLevelSeverity(level === 'LOG' ? LogLevel.INFO : level, customLevels) >=
+    getLogLevelSeverity(logLevel, customLevels);
+}
+
+/**
+ * The names of the environment variables from which to load individual default logging options, mapped to the names
+ * of the options that they configure
+ * @type {Object.<string, string>}
+ */
+const envOptionNames = {
+  LOG_USE_LEVEL_PREFIXES: 'useLevelPrefixes',
+  LOG_USE_CONSOLE_TRACE: 'useConsoleTrace',
+  LOG_FORMAT: 'format'
+};
+
+/**
+ * The name of the environment variable in which to look for the path of an app-level logging options file
+ * @type {string}
+ */
+const envConfigFileName = 'LOGGING_CONFIG_FILE';
+
+/**
+ * The parsed contents (or undefined, if absent or unreadable) of the logging options files read so far (keyed by path),
+ * which are only read once & then only re-read after reloadLogging clears them
+ * @type {Map.<string, Object|undefined>}
+ */
+const loggingOptionsFiles = new Map();
+
+/**
+ * Loads a clean, but potentially incomplete, copy of the default logging options from the following sources, where
+ * options from a source earlier in the list take precedence over the same options from any sources later in the list:
+ * 1. Individual environment variables (i.e. LOG_USE_LEVEL_PREFIXES, LOG_USE_CONSOLE_TRACE & LOG_FORMAT)
+ * 2. The JSON file at the path in the LOGGING_CONFIG_FILE environment variable (if any)
+ * 3. The `logging` property of the app's package.json file in the current working directory (if any)
+ * 4. The local default-options.json file
+ * Note that each file is only read once (until reloadLogging is called), whereas the environment variables are always
+ * re-read.
+ * @returns {LoggingOptions|undefined} clean (potentially incomplete) copy of default options loaded from the sources
+ */
+function loadDefaultLoggingOptions() {
+  return mergeDefaultLoggingOptionsSources(loadDefaultLoggingOptionsSources());
+}
+
+/**
+ * Merges the options of the given sources (in order of precedence) into a single clean, but potentially incomplete,
+ * copy of the default logging options.
+ * @param {Array.<{source: string, options: LoggingOptions}>} loadedSources - the sources & their clean options
+ * @returns {LoggingOptions|undefined} the merged options (if any); otherwise undefined
+ */
+function mergeDefaultLoggingOptionsSources(loadedSources) {
+  return loadedSources.reduce((options, source) =>
+    options ? merge(source.options, options) : copy(source.options), undefined);
+}
+
+/**
+ * Loads clean, but potentially incomplete, copies of the default logging options from each of the sources (in order of
+ * precedence) described in loadDefaultLoggingOptions, skipping any sources that are absent or that have no valid options.
+ * @returns {Array.<{source: string, options: LoggingOptions}>} the sources & their clean options
+ */
+function loadDefaultLoggingOptionsSources() {
+  const sources = [];
+
+  function addSource(source, options) {
+    const cleaned = toCleanSettingsOrOptions(options);
+    if (cleaned && Object.keys(cleaned).length > 0) {
+      sources.push({source: source, options: cleaned});
+    }
+  }
+
+  Object.keys(envOptionNames).forEach(envName => {
+    const value = process.env[envName];
+    if (isNotBlank(value)) {
+      const options = {};
+      options[envOptionNames[envName]] = parseEnvOptionValue(value);
+      addSource(`environment variable ${envName}`, options);
+    }
+  });
+
+  const configFile = process.env[envConfigFileName];
+  if (isNotBlank(configFile)) {
+    const configFilePath = path.resolve(configFile.trim());
+    addSource(`${envConfigFileName} file (${configFilePath})`, readLoggingOptionsFile(configFilePath, false));
+  }
+
+  const packageFilePath = path.resolve('package.json');
+  const packageJson = readLoggingOptionsFile(packageFilePath, true);
+  addSource(`package.json (${packageFilePath})`, packageJson && packageJson.logging);
+
+  addSource('default-options.json', require('./default-options.json'));
+  return sources;
+}
+
+/**
+ * Parses the given value of one of the environment variables named by envOptionNames into a boolean (if it is 'true'
+ * or 'false') or otherwise into a trimmed, lowercase string.
+ * @param {string} value - the environment variable's value
+ * @returns {boolean|string} the parsed value
+ */
+function parseEnvOptionValue(value) {
+  const cleanValue = value.trim().toLowerCase();
+  return cleanValue === 'true' ? true : cleanValue === 'false' ? false : cleanValue;
+}
+
+/**
+ * Returns the parsed contents of the JSON logging options file at the given path, which is only read once (until
+ * reloadLogging clears the files read so far).
+ * @param {string} filePath - the path of the JSON file to read
+ * @param {boolean} optional - whether the file is optional (i.e. should be skipped without a warning if absent) or not
+ * @returns {Object|undefined} the parsed contents of the file (if present & readable); otherwise undefined
+ */
+function readLoggingOptionsFile(filePath, optional) {
+  if (!loggingOptionsFiles.has(filePath)) {
+    const contents = !optional || fs.existsSync(filePath) ? readJsonFile(filePath) : undefined;
+    loggingOptionsFiles.set(filePath, contents);
+  }
+  return loggingOptionsFiles.get(filePath);
+}
+
+/**
+ * Reads & parses the JSON file at the given path, logging a warning & returning undefined if it cannot be read or parsed.
+ * @param {string} filePath - the path of the JSON file to read
+ * @returns {Object|undefined} the parsed contents of the file (if readable); otherwise undefined
+ */
+function readJsonFile(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    console.warn(`Skipping unreadable logging options file (${filePath}) - ${err}`);
+    return undefined;
+  }
+}
+
+/**
+ * Returns a clean and complete copy of the default logging options, which are a combination of the options loaded from
+ * the environment, from any app-level logging options file & package.json and from the local default-options.json file
+ * (see loadDefaultLoggingOptions) and the static defaults, which are used to fill in any missing options.
+ * @returns {LoggingOptions} the complete and clean default options
+ */
+function getDefaultLoggingOptions() {
+  return resolveDefaultLoggingOptions(undefined);
+}
+
+/**
+ * Resolves a clean and complete copy of the default logging options (see getDefaultLoggingOptions) and records the
+ * source of each of the options in the given sources (if any).
+ * @param {Object.<string, string>|undefined} [sources] - an optional map to which to add the source of each option
+ * @returns {LoggingOptions} the complete and clean default options
+ */
+function resolveDefaultLoggingOptions(sources) {
+  const loadedSources = loadDefaultLoggingOptionsSources();
+  if (sources) {
+    loadedSources.forEach(source => Object.keys(source.options).forEach(key => {
+      if (!sources.hasOwnProperty(key)) sources[key] = source.source;
+    }));
+  }
+  const defaultOptions = mergeDefaultLoggingOptionsSources(loadedSources);
+  return defaultOptions ? merge(defaults, defaultOptions) : copy(defaults);
+}
+
+/**
+ * Returns a clean copy of the given logging options or settings WITHOUT any invalid properties and with a clean
+ * logLevel (if it has a valid logLevel) if optionsOrSettings is a non-null object; otherwise returns undefined.
+ * @param {LoggingOptions|LoggingSettings|undefined|*} [optionsOrSettings] - optional logging options or settings
+ * @param {Object.<string, CustomLogLevel>|undefined} [inheritedCustomLevels] - optional custom log levels with which to
+ * also validate the logLevel when the given options or settings do NOT define any valid custom log levels of their own
+ * @returns {LoggingOptions|LoggingSettings|undefined} a clean copy of the given logging options or settings (if any) or undefined
+ */
+function toCleanSettingsOrOptions(optionsOrSettings, inheritedCustomLevels) {
+  if (!optionsOrSettings || typeof optionsOrSettings !== 'object') return undefined;
+
+  const cleaned = optionsOrSettings ? copy(optionsOrSettings) : {};
+
+  const customLevels = cleanCustomLevels(cleaned.customLevels);
+  if (customLevels) {
+    cleaned.customLevels = customLevels;
+  } else {
+    delete cleaned.customLevels;
+  }
+  const levels = customLevels || inheritedCustomLevels;
+  Object.keys(settingRules).forEach(name => {
+    const rule = settingRules[name];
+    if (!rule.isValid(cleaned[name], levels)) {
+      if (rule.warning && cleaned[name]) {
+        console.warn(rule.warning);
+      }
+      delete cleaned[name];
+    }
+  });
+
+  // Normalise the remaining valid settings
+  if (cleaned.logLevel) {
+    cleaned.logLevel = cleanLogLevel(cleaned.logLevel);
+  }
+  if (cleaned.envLogLevelName) {
+    cleaned.envLogLevelName = cleaned.envLogLevelName.trim();
+  }
+  if (cleaned.format) {
+    cleaned.format = cleanLogFormat(cleaned.format);
+  }
+  if (cleaned.timeFormat) {
+    cleaned.timeFormat = cleaned.timeFormat.trim().toLowerCase();
+  }
+  return cleaned;
+}
+
+/**
+ * The rules with which to validate each of the logging settings & options (other than customLevels), which consist of
+ * a function that returns true if the setting's value (if any) is valid, the reason to report if it is invalid (see
+ * validateLoggingSettings) and an optional warning to log when an invalid value is skipped
+ * @type {Object.<string, {isValid: function(value: *, customLevels: (Object.<string, CustomLogLevel>|undefined)): boolean, reason: string, warning: (string|undefined)}>}
+ */
+const settingRules = {
+  logLevel: {
+    isValid: (value, customLevels) => isValidLogLevel(value, customLevels),
+    reason: 'must be a valid log level (i.e. FATAL, ERROR, WARN, INFO, DEBUG, TRACE or a custom log level)'
+  },
+  useLevelPrefixes: {isValid: isBoolean, reason: 'must be a boolean'},
+  envLogLevelName: {isValid: isNotBlank, reason: 'must be a non-blank string'},
+  useConsoleTrace: {isValid: isBoolean, reason: 'must be a boolean'},
+  format: {isValid: isValidLogFormat, reason: 'must be a valid format (i.e. text, json or pretty)'},
+  debugSampleRate: {
+    isValid: value => typeof value === 'number' && value >= 0 && value <= 1,
+    reason: 'must be a number from 0 to 1'
+  },
+  dedupeWindowMs: {isValid: isNonNegativeNumber, reason: 'must be a non-negative number'},
+  maxMessagesPerSecond: {isValid: isNonNegativeNumber, reason: 'must be a non-negative number'},
+  debugBufferSize: {isValid: isNonNegativeNumber, reason: 'must be a non-negative number'},
+  exitOnFatal: {isValid: isBoolean, reason: 'must be a boolean'},
+  fatalExitCode: {isValid: Number.isInteger, reason: 'must be an integer'},
+  strict: {isValid: isBoolean, reason: 'must be a boolean'},
+  timeFormat: {
+    isValid: value => isString(value) && isValidTimeFormat(value.trim().toLowerCase()),
+    reason: 'must be a valid time format (i.e. iso, epoch or local)'
+  },
+  prefixTemplate: {
+    isValid: value => (isString(value) && isNotBlank(value)) || typeof value === 'function',
+    reason: 'must be a non-blank template string or a function'
+  },
+  redaction: {
+    isValid: value => !value || isRedactionSettings(value),
+    reason: 'must have at least one key or pattern',
+    warning: 'Skipping configured redaction, since it has neither keys nor patterns'
+  },
+  bindings: {isValid: value => !value || typeof value === 'object', reason: 'must be an object'},
+  underlyingLogger: {
+    isValid: value => !value || isMinimumViableLogger(value),
+    reason: 'must be a minimum viable logger (i.e. with at least log & error methods) or an array of valid destinations',
+    warning: 'Skipping configured underlying logger, since it is NOT a minimum viable logger'
+  }
+};
+
+/**
+ * Returns true if the given value is a non-negative number; otherwise returns false.
+ * @param {*} value - the value to check
+ * @returns {boolean} true if a non-negative number; false otherwise
+ */
+function isNonNegativeNumber(value) {
+  return typeof value === 'number' && value >= 0;
+}
+
+/**
+ * Validates the given logging settings or options & returns a problem for every setting that is invalid (and that
+ * would otherwise be silently ignored by configureLogging), i.e. every defined setting that breaks its rule (see
+ * settingRules) and every invalid custom log level.
+ * @param {LoggingSettings|LoggingOptions|undefined|*} [settings] - the logging settings or options to validate
+ * @param {Object.<string, CustomLogLevel>|undefined} [inheritedCustomLevels] - optional custom log levels with which to
+ * also validate the logLevel when the given settings do NOT define any valid custom log levels of their own
+ * @returns {SettingProblem[]} a list of problems (which is empty if the settings are valid)
+ */
+function validateLoggingSettings(settings, inheritedCustomLevels) {
+  const problems = [];
+  if (settings === undefined || settings === null) {
+    return problems;
+  }
+  if (typeof settings !== 'object') {
+    problems.push({setting: 'settings', value: settings, reason: 'must be an object'});
+    return problems;
+  }
+  if (settings.customLevels !== undefined && (!settings.customLevels || typeof settings.customLevels !== 'object')) {
+    problems.push({setting: 'customLevels', value: settings.customLevels, reason: 'must be an object'});
+  }
+  const customLevels = cleanCustomLevels(settings.customLevels, problems) || inheritedCustomLevels;
+  Object.keys(settingRules).forEach(name => {
+    const value = settings[name];
+    if (value !== undefined && !settingRules[name].isValid(value, customLevels)) {
+      problems.push({setting: name, value: value, reason: settingRules[name].reason});
+    }
+  });
+  return problems;
+}
+
+/**
+ * Throws an error describing the given problems (if any).
+ * @param {SettingProblem[]} problems - the problems found by validateLoggingSettings
+ * @param {string} description - a description of what was being configured
+ * @throws {Error} if there are any problems
+ */
+function throwIfInvalid(problems, description) {
+  if (problems.length > 0) {
+    const details = problems.map(p => `${p.setting} (${stringify(p.value)}) ${p.reason}`).join('; ');
+    const errMsg = `FATAL - Cannot ${description} with invalid settings (in strict mode) - ${details}`;
+    console.error(errMsg);
+    throw new Error(errMsg);
+  }
+}
+
+/**
+ * Returns true if the given log level is a valid logging level (i.e. one of the supported log levels or one of the
+ * given custom log levels); otherwise returns false.
+ * @param {LogLevel|string|undefined} [logLevel] - the optional log level to validate
+ * @param {Object.<string, CustomLogLevel>|undefined} [customLevels] - any custom log levels
+ * @returns {boolean} true if a valid logging level; false otherwise
+ */
+function isValidLogLevel(logLevel, customLevels) {
+  const level = cleanLogLevel(logLevel);
+  switch (level) {
+    case LogLevel.FATAL:
+    case LogLevel.ERROR:
+    case LogLevel.WARN:
+    case LogLevel.INFO:
+    case LogLevel.DEBUG:
+    case LogLevel.TRACE:
+      return true;
+    default:
+      return !!customLevels && isString(level) && customLevels.hasOwnProperty(level);
+  }
+}
+
+/**
+ * Returns a clean copy of the given custom log levels containing only the valid custom log levels (with their names
+ * trimmed & converted to uppercase), if any; otherwise returns undefined. A valid custom log level must have a name
+ * consisting of letters, digits & underscores (starting with a letter) that does NOT clash with any supported level or
+ * Logger method and must have a numeric severity and an optional non-blank method name. Each invalid custom log level
+ * is either added to the given problems (if any) or skipped with a warning.
+ * @param {Object.<string, CustomLogLevel>|*} customLevels - the custom log levels to clean
+ * @param {SettingProblem[]|undefined} [problems] - an optional list to which to add any invalid custom log levels
+ * @returns {Object.<string, CustomLogLevel>|undefined} the clean custom log levels (if any); otherwise undefined
+ */
+function cleanCustomLevels(customLevels, problems) {
+  if (!customLevels || typeof customLevels !== 'object') {
+    return undefined;
+  }
+  const cleaned = {};
+  let count = 0;
+  Object.keys(customLevels).forEach(key => {
+    const name = key.trim().toUpperCase();
+    const customLevel = customLevels[key];
+    const reason = getCustomLevelProblem(name, customLevel);
+    if (!reason) {
+      cleaned[name] = {severity: customLevel.severity};
+      if (customLevel.method) cleaned[name].method = customLevel.method.trim();
+      ++count;
+    } else if (problems) {
+      problems.push({setting: `customLevels.${key}`, value: customLevel, reason: reason});
+    } else {
+      console.warn(`Skipping invalid custom log level (${key}) - ${stringify(customLevel)}`);
+    }
+  });
+  return count > 0 ? cleaned : undefined;
+}
+
+/**
+ * Returns the reason why the given custom log level is invalid (if it is invalid); otherwise undefined.
+ * @param {string} name - the trimmed, uppercase name of the custom log level
+ * @param {CustomLogLevel|*} customLevel - the custom log level to check
+ * @returns {string|undefined} the reason why the custom log level is invalid (if invalid); otherwise undefined
+ */
+function getCustomLevelProblem(name, customLevel) {
+  if (!/^[A-Z][A-Z0-9_]*$/.test(name)) {
+    return 'name must consist of letters, digits & underscores & must start with a letter';
+  }
+  if (LogLevel.hasOwnProperty(name) || name === 'LOG' || reservedMethodNames.indexOf(toLevelMethodName(name)) !== -1) {
+    return 'name must NOT clash with a supported log level or Logger method';
+  }
+  if (!customLevel || typeof customLevel !== 'object') {
+    return 'must be an object with a severity';
+  }
+  if (typeof customLevel.severity !== 'number' || !isFinite(customLevel.severity)) {
+    return 'severity must be a finite number';
+  }
+  const method = customLevel.method;
+  if (method !== undefined && !(isString(method) && isNotBlank(method))) {
+    return 'method must be a non-blank string (if defined)';
+  }
+  return undefined;
+}
+
+/**
+ * Cleans the given log level (if any) by trimming it and converting it to uppercase.
+ * @param {LogLevel} logLevel
+ * @returns {LogLevel} the cleaned log level
+ */
+function cleanLogLevel(logLevel) {
+  return logLevel && logLevel.trim ? logLevel.trim().toUpperCase() : logLevel;
+}
+
+/**
+ * Returns true if the given format is a valid output format; otherwise returns false.
+ * @param {LogFormat|string|undefined} [format] - the optional format to validate
+ * @returns {boolean} true if a valid output format; false otherwise
+ */
+function isValidLogFormat(format) {
+  const fmt = cleanLogFormat(format);
+  return fmt === LogFormat.TEXT || fmt === LogFormat.JSON || fmt === LogFormat.PRETTY;
+}
+
+/**
+ * Cleans the given format (if any) by trimming it and converting it to lowercase.
+ * @param {LogFormat|string|undefined} format
+ * @returns {LogFormat|string|undefined} the cleaned format
+ */
+function cleanLogFormat(format) {
+  return format && format.trim ? format.trim().toLowerCase() : format;
+}
+
+/**
+ * Returns true if the given time format is a valid time format; otherwise returns false.
+ * @param {TimeFormat|string|undefined} [timeFormat] - the optional time format to validate
+ * @returns {boolean} true if a valid time format; false otherwise
+ */
+function isValidTimeFormat(timeFormat) {
+  return timeFormat === TimeFormat.ISO || timeFormat === TimeFormat.EPOCH || timeFormat === TimeFormat.LOCAL;
+}
+
+/**
+ * Extracts the log level prefix (if any) and returns it and the rest of the input; otherwise returns undefined and the
+ * original input.
+ * @param {string|*} input - the input to split
+ * @param {RegExp|undefined} [regex] - the level prefixed regular expression to use (defaults to levelPrefixedRegex)
+ * @returns {[(LogLevel|undefined), (string|*)]} an array containing the log level (if extracted) or undefined followed
+ * by the rest of the input trimmed (if level was extracted) or the original input
+ */
+function extractLogLevelAndRest(input, regex) {
+  const match = (regex || levelPrefixedRegex).exec(input);
+  if (!match) return [undefined, input];
+  return [match[1], trim(match[2])];
+}
+
+/**
+ * Checks whether the given logger is either console or a minimum viable logger-like object, which means that it must
+ * have AT LEAST a `log` method and an `error` method, or a non-empty array of valid destinations (see
+ * isValidDestination).
+ * @param {Logger|BasicLogger|Array.<LoggingDestination|Logger|BasicLogger>|*} logger - the logger to be checked
+ * @returns {boolean} true if console or a valid (minimum viable) logger-like object or a non-empty array of valid
+ * destinations; false otherwise
+ */
+function isMinimumViableLogger(logger) {
+  if (Array.isArray(logger)) {
+    return logger.length > 0 && logger.every(isValidDestination);
+  }
+  return logger === console || (logger && typeof logger.log === 'function' && typeof logger.error === 'function');
+}
+
+/**
+ * Checks whether the given destination is either a (single) minimum viable logger or a LoggingDestination with a
+ * (single) minimum viable logger and a valid log level and format (if any).
+ * @param {LoggingDestination|Logger|BasicLogger|*} destination - the destination to be checked
+ * @returns {boolean} true if a valid destination; false otherwise
+ */
+function isValidDestination(destination) {
+  if (!destination || typeof destination !== 'object' || Array.isArray(destination)) return false;
+  return !!isMinimumViableLogger(destination) || (!Array.isArray(destination.logger) &&
+    !!isMinimumViableLogger(destination.logger) &&
+    (destination.logLevel === undefined || isValidLogLevel(destination.logLevel)) &&
+    (destination.format === undefined || isValidLogFormat(destination.format)));
+}
+
+/**
+ * Resolves the named, formatted logging function (see resolveFormattedLoggingFunction) of each of the given
+ * destinations that accepts the given level, combines them into a single function that fans out each call to all of
+ * them and then wraps it with the given optional stages, such that every logging call will first redact all of its
+ * arguments (if a redact function is given) and then be throttled (if a throttle is given) before being formatted &
+ * logged by each destination.
+ * @param {LoggingDestination[]} destinations - the destinations to which to log
+ * @param {string} loggingFnName - the name of the logging function (i.e. 'error', 'warn', 'info', 'debug', 'trace' or 'log')
+ * @param {string} logLevelPrefix - the prefix to prepend (or the level to use in JSON output)
+ * @param {LoggingSettings} settings - the logging settings being configured
+ * @param {LoggingStages} stages - the optional stages through which every logging call must pass
+ * @param {string|undefined} [fallbackFnName] - the name of the logging function to fallback to for any other logging
+ * function name (e.g. the method of a custom log level), when a destination's logger does NOT have the named method
+ * @return {logRedacted|logThrottled|logToAll|logWithPrefix|logAsJson|noop} a possibly redacting,
+ * throttled & fanned out logging function that delegates to the destinations' formatted logging functions
+ */
+function resolveLoggingFunction(destinations, loggingFnName, logLevelPrefix, settings, stages, fallbackFnName) {
+  const formattedFns = destinations
+    .filter(destination => isLevelEnabledAt(destination.logLevel, logLevelPrefix, settings.customLevels))
+    .map(destination => {
+      const logger = destination.logger;
+      const fnName = resolveLoggingFunctionName(logger, loggingFnName, settings.useConsoleTrace, fallbackFnName);
+      let destinationSettings = settings;
+      if (destination.format && destination.format !== settings.format) {
+        destinationSettings = copy(settings);
+        destinationSettings.format = destination.format;
+      }
+      return resolveFormattedLoggingFunction(logger, fnName, logLevelPrefix, destinationSettings, stages.redact);
+    });
+
+  if (formattedFns.length === 0) {
+    return noop;
+  }
+
+  const formattedFn = formattedFns.length === 1 ? formattedFns[0] : function logToAll() {
+    // Give each destination its own copy of the arguments, since formatting may replace some of them
+    for (let i = 0; i < formattedFns.length; ++i) {
+      formattedFns[i].apply(null, Array.prototype.slice.call(arguments));
+    }
+  };
+
+  const loggingFn = stages.throttle ? stages.throttle.wrap(logLevelPrefix, formattedFn) : formattedFn;
+
+  const redact = stages.redact;
+  if (!redact) {
+    return generateLazyLoggingFunction(loggingFn);
+  }
+
+  function logRedacted() {
+    const len = arguments.length;
+    const args = new Array(len);
+    for (let i = 0; i < len; ++i) {
+      args[i] = redact(arguments[i]);
+    }
+    return loggingFn.apply(null, args);
+  }
+
+  return generateLazyLoggingFunction(logRedacted);
+}
+
+/**
+ * Generates a logging function that supports lazy messages, i.e. that first calls any function passed as its first
+ * argument and then delegates to the given logging function with the function's result in its place. Since disabled
+ * levels never reach this function, a lazy message is ONLY evaluated when its level is enabled. If the function returns
+ * a promise (e.g. an async function), then its resolved value is logged once it resolves. If the function throws (or
+ * its promise rejects), then a "Failed to evaluate lazy log message" message is logged with the error instead.
+ * @param {function(...*)} loggingFn - the logging function to which to delegate
+ * @returns {function(...*): (Promise|undefined)} a lazy logging function, which returns a promise that resolves once an
+ * asynchronous lazy message has been logged or undefined otherwise
+ */
+function generateLazyLoggingFunction(loggingFn) {
+  function logLazily() {
+    if (typeof arguments[0] !== 'function') {
+      return loggingFn.apply(null, arguments);
+    }
+    const args = Array.prototype.slice.call(arguments);
+
+    function logEvaluated(message) {
+      args[0] = message;
+      loggingFn.apply(null, args);
+    }
+
+    function logFailed(err) {
+      args.splice(0, 1, 'Failed to evaluate lazy log message', err);
+      loggingFn.apply(null, args);
+    }
+
+    let message;
+    try {
+      message = args[0]();
+    } catch (err) {
+      logFailed(err);
+      return undefined;
+    }
+    if (message && typeof message.then === 'function') {
+      // Report any failure to log the resolved value (e.g. if the underlying logger throws), instead of leaving an
+      // unhandled rejection
+      return Promise.resolve(message).then(logEvaluated, logFailed)
+        .catch(err => console.error('Failed to log lazy log message', err));
+    }
+    logEvaluated(message);
+    return undefined;
+  }
+
+  return logLazily;
+}
+
+/**
+ * Resolves the given logger's named logging function, binds it to the given logger and then either returns: a wrapper
+ * function that will log a single JSON object per call (if `settings.format` is 'json'); or a wrapper function that
+ * will fully format any error arguments and will also prepend the given `logLevelPrefix` (if `settings.useLevelPrefixes`
+ * is true) or the prefix generated from `settings.prefixTemplate` (if any) and/or any bindings and log context fields
+ * (see runWithLogContext) to any first argument before invoking the bound function. If `settings.format` is 'pretty',
+ * then the latter also colours the prefix, shortens the stack traces of errors & pretty prints any other objects.
+ * @param {Logger|BasicLogger} logger - the underlying logger from which the logging function originates
+ * @param {string} loggingFnName - the name of the logger's logging function to use
+ * @param {string} logLevelPrefix - the prefix to prepend (or the level to use in JSON output)
+ * @param {LoggingSettings} settings - the logging settings being configured
+ * @param {function(value: *): *|undefined} [redact] - an optional function with which to redact any log context fields
+ * @return {logWithPrefix|logAsJson} an error formatting & possibly prefix pre-pending or a JSON formatting logging
+ * function that delegates to the named & bound logging function
+ */
+function resolveFormattedLoggingFunction(logger, loggingFnName, logLevelPrefix, settings, redact) {
+  // Bind the relevant log function to its appropriate logger
+  const loggingFn = logger[loggingFnName].bind(logger);
+
+  if (settings.format === LogFormat.JSON) {
+    return function logAsJson() {
+      return loggingFn(toJsonLogEntry(logLevelPrefix, settings, arguments, getLogContextFields(redact)));
+    };
+  }
+
+  const bindings = settings.bindings;
+  const bindingsPrefix = toBindingsPrefix(bindings);
+  const prefixTemplate = settings.prefixTemplate;
+
+  // Note that we skip adding a level prefix when using console.trace, since it already includes its own prefix 'Trace: '
+  const useLogLevelPrefix = !prefixTemplate && settings.useLevelPrefixes &&
+    !(logger === console && loggingFnName === 'trace');
+
+  // Pretty output colours the level prefix & dims the bindings & context fields prefix
+  const prettyOutput = settings.format === LogFormat.PRETTY;
+
+  // Generates the prefix from the level prefix or prefix template (if any), the bindings & the given context fields
+  function generatePrefix(contextFields) {
+    let headPrefix = prefixTemplate ? formatPrefix(prefixTemplate, logLevelPrefix, settings) :
+      useLogLevelPrefix ? logLevelPrefix : '';
+    let fieldsPrefix = contextFields ? toBindingsPrefix(combineFields(bindings, contextFields)) : bindingsPrefix;
+    if (prettyOutput) {
+      headPrefix = colourise(logLevelPrefix, headPrefix);
+      fieldsPrefix = colourise(undefined, fieldsPrefix);
+    }
+    return headPrefix ? (fieldsPrefix ? `${headPrefix} ${fieldsPrefix}` : headPrefix) : fieldsPrefix;
+  }
+
+  // Resolve the fixed prefix to use, unless a prefix template is configured, which requires a new prefix per call
+  const fixedPrefix = prefixTemplate ? undefined : generatePrefix(undefined);
+
+  function logWithPrefix() {
+    if (prettyOutput) {
+      prettifyArguments(arguments);
+    } else {
+      formatErrorArguments(arguments);
+    }
+    if (arguments.length > 0) {
+      const arg0 = arguments[0];
+      const contextFields = getLogContextFields(redact);
+      const prefix = fixedPrefix === undefined || contextFields ? generatePrefix(contextFields) : fixedPrefix;
+      if (prefix && (prefix !== fixedPrefix || !isString(arg0) || !arg0.startsWith(prefix))) {
+        arguments[0] = `${prefix} ${arg0}`;
+      }
+    }
+    return loggingFn.apply(null, arguments); // prior bind takes precedence over any apply (so just apply with null)
+  }
+
+  return logWithPrefix;
+}
+
+/**
+ * Replaces any errors in the given arguments of a logging call with fully formatted versions of the errors (including
+ * their stacks, codes, custom properties, causes & aggregated errors).
+ * @param {Arguments|Array.<*>} args - the arguments of the logging call
+ */
+function formatErrorArguments(args) {
+  for (let i = 0; i < args.length; ++i) {
+    if (args[i] instanceof Error) {
+      args[i] = formatError(args[i]);
+    }
+  }
+}
+
+/**
+ * Formats a prefix using the given prefix template, which is either a template string containing any of the
+ * placeholders `{time}`, `{level}`, `{name}` and `{pid}` (e.g. "{time} {level} [{name}] {pid}") or a function that
+ * generates the prefix from the given PrefixInfo.
+ * @param {string|function(info: PrefixInfo): string} prefixTemplate - the prefix template string or function to use
+ * @param {string} level - the level of the logging call
+ * @param {LoggingSettings} settings - the logging settings being configured
+ * @returns {string} the formatted prefix
+ */
+function formatPrefix(prefixTemplate, level, settings) {
+  const now = new Date();
+  const info = {
+    time: formatTime(now, settings.timeFormat),
+    date: now,
+    level: level,
+    name: settings.name || '',
+    pid: process.pid
+  };
+  if (typeof prefixTemplate === 'function') {
+    const prefix = prefixTemplate(info);
+    return prefix !== undefined && prefix !== null ? `${prefix}` : '';
+  }
+  return prefixTemplate.replace(placeholderRegex, (placeholder, key) => info.hasOwnProperty(key) && key !== 'date' ?
+    `${info[key]}` : placeholder);
+}
+
+/**
+ * Formats the given date according to the given time format.
+ * @param {Date} date - the date to format
+ * @param {TimeFormat|undefined} [timeFormat] - the time format to use (defaults to TimeFormat.ISO)
+ * @returns {string|number} the formatted time (or the number of milliseconds since the epoch if TimeFormat.EPOCH)
+ */
+function formatTime(date, timeFormat) {
+  switch (timeFormat) {
+    case TimeFormat.EPOCH:
+      return date.getTime();
+
+    case TimeFormat.LOCAL:
+      return `${date.getFullYear()}-${pad(date.getMonth() + 1, 2)}-${pad(date.getDate(), 2)} ` +
+        `${pad(date.getHours(), 2)}:${pad(date.getMinutes(), 2)}:${pad(date.getSeconds(), 2)}.${pad(date.getMilliseconds(), 3)}`;
+
+    default:
+      return date.toISOString();
+  }
+}
+
+/**
+ * Left pads the given number with zeroes to the given length.
+ * @param {number} n - the number to pad
+ * @param {number} length - the minimum length
+ * @returns {string} the padded number
+ */
+function pad(n, length) {
+  let s = `${n}`;
+  while (s.length < length) s = `0${s}`;
+  return s;
+}
+
+/**
+ * Converts the given bindings (if any) into a text prefix of the form `[key1=value1 key2=value2]`.
+ * @param {Object|undefined} [bindings] - the optional bindings to convert
+ * @returns {string} the bindings prefix (or an empty string if there are no bindings)
+ */
+function toBindingsPrefix(bindings) {
+  const keyValuePairs = toKeyValuePairs(bindings, {onlyEnumerable: true, omitSymbols: true});
+  return keyValuePairs.length > 0 ?
+    `[${stringifyKeyValuePairs(keyValuePairs, {keyValueSeparator: '=', pairSeparator: ' '})}]` : '';
+}
+
+/**
+ * Converts the given level and arguments of a logging call into a single line JSON log entry string containing the
+ * level, a timestamp (formatted according to the settings' timeFormat), the logger's name (if any), any bindings, any
+ * log context fields, a message (if the first argument was a string or an Error) and any other arguments as data.
+ * @param {string} level - the level of the logging call
+ * @param {LoggingSettings} settings - the logging settings being configured
+ * @param {Array.<*>|Arguments} args - the arguments passed to the logging call
+ * @param {Object|undefined} [contextFields] - the fields of the current log context (if any)
+ * @returns {string} a JSON log entry string
+ */
+function toJsonLogEntry(level, settings, args, contextFields) {
+  const entry = {level: level, timestamp: formatTime(new Date(), settings.timeFormat)};
+  if (settings.name) {
+    entry.name = settings.name;
+  }
+  const bindings = settings.bindings;
+  if (bindings) {
+    Object.keys(bindings).forEach(key => {
+      if (!entry.hasOwnProperty(key)) entry[key] = bindings[key];
+    });
+  }
+  if (contextFields) {
+    Object.keys(contextFields).forEach(key => {
+      if (!entry.hasOwnProperty(key)) entry[key] = contextFields[key];
+    });
+  }
+  const len = args.length;
+  let start = 0;
+  if (len > 0) {
+    const arg0 = args[0];
+    if (isString(arg0)) {
+      entry.message = `${arg0}`;
+      start = 1;
+    } else if (arg0 instanceof Error) {
+      entry.message = arg0.message;
+    }
+  }
+  if (len > start) {
+    const data = new Array(len - start);
+    for (let i = start; i < len; ++i) {
+      data[i - start] = args[i];
+    }
+    entry.data = data;
+  }
+  return toJson(entry);
+}
+
+/**
+ * Safely converts the given value to JSON, converting any errors to plain objects (with their name, message, code,
+ * stack, custom properties, causes & aggregated errors) and replacing any circular references with '[Circular]'.
+ * @param {*} value - the value to convert
+ * @returns {string} the JSON string
+ */
+function toJson(value) {
+  const ancestors = [];
+  const originals = new WeakMap(); // serialized errors mapped to their original errors
+
+  function replacer(key, val) {
+    if (!val || typeof val !== 'object') return val;
+    // Drop any ancestors that are no longer on the path to the current holder (i.e. `this`)
+    while (ancestors.length > 0 && ancestors[ancestors.length - 1] !== this) {
+      ancestors.pop();
+    }
+    if (ancestors.some(ancestor => ancestor === val || originals.get(ancestor) === val)) return '[Circular]';
+    if (val instanceof Error) {
+      const original = val;
+      val = serializeError(original);
+      originals.set(val, original);
+    }
+    ancestors.push(val);
+    return val;
+  }
+
+  try {
+    return JSON.stringify(value, replacer);
+  } catch (err) {
+    return JSON.stringify({level: value.level, timestamp: value.timestamp, message: value.message,
+      jsonError: `${err}`});
+  }
+}
+
+/**
+ * A convenience function that delegates the logging to the log method of either the given logger (if its defined and
+ * has a log or info method) or to console (if not)
+ * @param {Logger|BasicLogger|undefined} [logger] - the optional logger to use
+ * @param {...*} data - zero or more data items to be logged
+ */
+function log(logger, data) {
+  // Collect all arguments other than logger
+  const len = arguments.length;
+  if (len <= 0) {
     console.log();
     return;
   }
@@ -430,9 +2321,17 @@ function log(logger, data) {
  * extracted log level prefix (if any & if its valid) and otherwise default to using the given log function.
  * @param {Logger} target - the target object onto which logging functionality is being installed
  * @param {function(...*)} log - the wrapped and bound underlying logger's log method
+ * @param {Object.<string, CustomLogLevel>|undefined} [customLevels] - any custom log levels to also recognise
  * @returns {function(...data)} an extended version of the given log function
  */
-function extendLogFunction(target, log) {
+function extendLogFunction(target, log, customLevels) {
+  // Match custom level names first (longest first), since they may start with a supported log level's name (e.g.
+  // DEBUG2 or INFO_X) or with another custom level's name
+  const customLevelNames = customLevels ? Object.keys(customLevels).sort((a, b) => b.length - a.length) : [];
+  const regex = customLevelNames.length > 0 ?
+    new RegExp(`\\s*(${customLevelNames.join('|')}|FATAL|ERROR|WARN|INFO|DEBUG|TRACE|LOG)(?:$|([^A-Za-z]+.*))`) :
+    levelPrefixedRegex;
+
   /**
    * An extension of the conventional log method that first checks if the first argument contains a valid log level and
    * if so instead delegates the call to the appropriate logging function for the specified log level (passing the rest
@@ -449,7 +2348,9 @@ function extendLogFunction(target, log) {
       log();
       return;
     }
-    const [logLevel, rest] = extractLogLevelAndRest(arguments[0]);
+    // Never extract a log level from a lazy message (i.e. a function)
+    const [logLevel, rest] = typeof arguments[0] === 'function' ? [undefined, arguments[0]] :
+      extractLogLevelAndRest(arguments[0], regex);
 
     let args;
     if (!logLevel) {
@@ -468,6 +2369,10 @@ function extendLogFunction(target, log) {
     }
 
     switch (logLevel) {
+      case LogLevel.FATAL:
+        self.fatal.apply(null, args);
+        return;
+
       case LogLevel.ERROR:
         self.error.apply(null, args);
         return;
@@ -493,6 +2398,11 @@ function extendLogFunction(target, log) {
         return;
 
       default:
+        if (logLevel) {
+          // Custom log level, so delegate to its logging function
+          self[toLevelMethodName(logLevel)].apply(null, args);
+          return;
+        }
         // If no valid log level was provided as a first argument then default to calling the given logger log function
         // using ALL of the arguments as data
         log.apply(null, arguments); // log is already bound to its logger, so ignore thisArg
@@ -501,4 +2411,336 @@ function extendLogFunction(target, log) {
   }
 
   return logAtLevel;
-}
\ No newline at end of file
+}
+
+/**
+ * Generates a child function that will create child loggers of the given target.
+ * @param {Logger} target - the target object onto which logging functionality is being installed
+ * @returns {function(bindings: Object, settings: (LoggingSettings|undefined)): Logger} a child function
+ */
+function generateChildFunction(target) {
+  /**
+   * Creates a new child logger, which inherits its parent's log level, settings and underlying logger (unless
+   * overridden by the given settings) and which adds its parent's bindings (if any) and the given bindings to every
+   * message that it logs.
+   * @param {Object|undefined} [bindings] - the fields to bind to every message logged (e.g. {requestId: '123'})
+   * @param {LoggingSettings|LoggingOptions|undefined} [settings] - optional logging settings with which to override
+   * the parent's settings
+   * @returns {Logger} a new child logger
+   */
+  function child(bindings, settings) {
+    const parentSettings = target._loggingSettings;
+
+    // Ensure that any overriding underlying logger is a minimum viable logger
+    if (settings && settings.underlyingLogger && !isMinimumViableLogger(settings.underlyingLogger)) {
+      const errMsg = `FATAL - Cannot create a child logger with a logger that is NOT a minimum viable logger - logger: ${stringify(settings.underlyingLogger)}`;
+      console.error(errMsg);
+      throw new Error(errMsg);
+    }
+
+    // In strict mode, reject any invalid overriding settings (instead of silently ignoring them)
+    if (isStrict(settings, parentSettings)) {
+      throwIfInvalid(validateLoggingSettings(settings, parentSettings.customLevels), 'create a child logger');
+    }
+
+    const childLogger = configureChildLogging({}, target, bindings, settings);
+    configuredLoggers.add(childLogger);
+    return childLogger;
+  }
+
+  return child;
+}
+
+/**
+ * Configures (or reconfigures) the given child logger with settings derived from its parent's current settings, the
+ * given bindings and the given overriding settings (see generateChildFunction).
+ * @param {Object|Logger} childLogger - the child logger to configure
+ * @param {Logger} parent - the child logger's parent
+ * @param {Object|undefined} [bindings] - the fields to bind to every message logged
+ * @param {LoggingSettings|LoggingOptions|undefined} [settings] - optional logging settings with which to override
+ * the parent's settings
+ * @returns {Logger} the configured child logger
+ */
+function configureChildLogging(childLogger, parent, bindings, settings) {
+  const parentSettings = parent._loggingSettings;
+
+  // Start with the parent's current effective settings & then apply any valid overriding settings
+  const childSettings = copy(parentSettings);
+  childSettings.logLevel = parent.logLevel;
+  childSettings.underlyingLogger = parent._underlyingLogger;
+
+  const overrides = toCleanSettingsOrOptions(settings, parentSettings.customLevels);
+  if (overrides) {
+    Object.keys(overrides).forEach(key => {
+      childSettings[key] = overrides[key];
+    });
+  }
+
+  // Inherit the sources of the parent's settings, except for any overridden settings
+  const childSources = copy(parent._loggingSources || {});
+  childSources.logLevel = `inherited from parent (${childSources.logLevel || 'unknown'})`;
+  recordSources(childSources, overrides, 'child settings');
+
+  // If the child overrides the log level, then still give precedence to any log level configured in the environment
+  if (overrides && overrides.logLevel) {
+    childSettings.logLevel = resolveLogLevel(childSettings, childSources);
+  }
+
+  // If the child overrides the debug sample rate, then make a new sampling decision for it; otherwise inherit its
+  // parent's decision (via its parent's already elevated log level)
+  childSettings.debugSampled = overrides && overrides.hasOwnProperty('debugSampleRate') ?
+    isDebugSampled(overrides.debugSampleRate) : parent.debugSampled;
+
+  // Combine the parent's bindings with the child's bindings (preferring the child's bindings)
+  childSettings.bindings = Object.assign({}, parentSettings.bindings, overrides && overrides.bindings,
+    bindings && typeof bindings === 'object' ? bindings : undefined);
+  if (bindings && typeof bindings === 'object') {
+    childSources.bindings = 'child bindings';
+  }
+
+  // Share the parent's throttle (if any), unless the child overrides its throttling settings
+  const parentThrottle = throttles.get(parent);
+  if (parentThrottle) {
+    throttles.set(childLogger, parentThrottle);
+  }
+
+  _configureLogging(childLogger, childSettings);
+  childLogger._loggingSources = childSources; // for explainLoggingConfiguration
+  childLogger._loggingInputs = {parent: parent, bindings: bindings, settings: settings}; // for reloadLogging
+  return childLogger;
+}
+
+/**
+ * Generates a time function that will start a timer with a given label on the given target, which timeEnd will stop &
+ * log at the given level (defaults to INFO). The timer is NOT started if the level is disabled.
+ * @param {Logger} target - the target object onto which logging functionality is being installed
+ * @returns {function(label: string, logLevel: (LogLevel|undefined))} a time function
+ */
+function generateTimeFunction(target) {
+  function time(label, logLevel) {
+    const level = resolveLogLevelOrDefault(target, logLevel, LogLevel.INFO, 'start a timer');
+    if (!isLevelMethodEnabled(target, level)) {
+      return;
+    }
+    let starts = timerStarts.get(target);
+    if (!starts) {
+      starts = new Map();
+      timerStarts.set(target, starts);
+    }
+    starts.set(`${label}`, {logLevel: level, start: process.hrtime()});
+  }
+
+  return time;
+}
+
+/**
+ * Generates a timeEnd function that will stop the timer with a given label (previously started via time) on the given
+ * target & log its label & elapsed milliseconds (e.g. "db query: 12.345ms") at the timer's level, if still enabled.
+ * Does nothing if no such timer was started (e.g. because its level was disabled).
+ * @param {Logger} target - the target object onto which logging functionality is being installed
+ * @returns {function(label: string): (number|undefined)} a timeEnd function, which returns the elapsed milliseconds
+ * (or undefined if no such timer was started)
+ */
+function generateTimeEndFunction(target) {
+  function timeEnd(label) {
+    const starts = timerStarts.get(target);
+    const key = `${label}`;
+    const timer = starts && starts.get(key);
+    if (!timer) {
+      return undefined;
+    }
+    starts.delete(key);
+    const elapsedMs = toElapsedMs(timer.start);
+    if (isLevelMethodEnabled(target, timer.logLevel)) {
+      target[toLevelMethodName(timer.logLevel)](`${key}: ${elapsedMs}ms`);
+    }
+    return elapsedMs;
+  }
+
+  return timeEnd;
+}
+
+/**
+ * Generates a startTimer function that will start a new timer on the given target & return a done function, which will
+ * log a given message with the given fields (if any) and the elapsed milliseconds (as a durationMs field) at the given
+ * level (defaults to INFO). Returns a done function that does nothing if the level is disabled.
+ * @param {Logger} target - the target object onto which logging functionality is being installed
+ * @returns {function(logLevel: (LogLevel|undefined)): function(message: string, fields: (Object|undefined)): (number|undefined)}
+ * a startTimer function
+ */
+function generateStartTimerFunction(target) {
+  function startTimer(logLevel) {
+    const level = resolveLogLevelOrDefault(target, logLevel, LogLevel.INFO, 'start a timer');
+    if (!isLevelMethodEnabled(target, level)) {
+      return noop;
+    }
+    const start = process.hrtime();
+
+    function done(message, fields) {
+      const elapsedMs = toElapsedMs(start);
+      if (isLevelMethodEnabled(target, level)) {
+        const data = Object.assign({}, fields && typeof fields === 'object' ? fields : undefined, {durationMs: elapsedMs});
+        target[toLevelMethodName(level)](message, data);
+      }
+      return elapsedMs;
+    }
+
+    return done;
+  }
+
+  return startTimer;
+}
+
+/**
+ * Generates a wrap function that will wrap a given function with a function that logs each call's entry & exit (with
+ * its duration) at the given level (defaults to DEBUG) and logs any error thrown or any rejection of a returned promise
+ * at ERROR (with its duration), before rethrowing it.
+ * @param {Logger} target - the target object onto which logging functionality is being installed
+ * @returns {function(fn: Function, opts: (WrapOptions|undefined)): Function} a wrap function
+ */
+function generateWrapFunction(target) {
+  function wrap(fn, opts) {
+    if (typeof fn !== 'function') {
+      throw new Error(`Cannot wrap a value that is NOT a function (${stringify(fn)})`);
+    }
+    const name = opts && isString(opts.name) && isNotBlank(opts.name) ? opts.name.trim() : fn.name || 'anonymous';
+    const level = resolveLogLevelOrDefault(target, opts && opts.level, LogLevel.DEBUG, `wrap ${name}`);
+    const logArgs = !!(opts && opts.logArgs);
+    const logResult = !!(opts && opts.logResult);
+    const method = toLevelMethodName(level);
+
+    function logExit(start, result) {
+      const durationMs = toElapsedMs(start);
+      if (isLevelMethodEnabled(target, level)) {
+        target[method](`${name} completed`, logResult ? {durationMs: durationMs, result: result} : {durationMs: durationMs});
+      }
+      return result;
+    }
+
+    function logFailure(start, err) {
+      target.error(`${name} failed`, err, {durationMs: toElapsedMs(start)});
+      throw err;
+    }
+
+    function wrapped() {
+      if (isLevelMethodEnabled(target, level)) {
+        if (logArgs) {
+          target[method](`${name} started`, {args: Array.prototype.slice.call(arguments)});
+        } else {
+          target[method](`${name} started`);
+        }
+      }
+      const start = process.hrtime();
+      let result;
+      try {
+        result = fn.apply(this, arguments);
+      } catch (err) {
+        logFailure(start, err);
+      }
+      if (result && typeof result.then === 'function') {
+        return result.then(value => logExit(start, value), err => logFailure(start, err));
+      }
+      return logExit(start, result);
+    }
+
+    return wrapped;
+  }
+
+  return wrap;
+}
+
+/**
+ * Resolves the clean log level to use from the given log level (if any) or the given default log level (if none).
+ * @param {Logger} target - the target on which the log level will be used
+ * @param {LogLevel|string|undefined} [logLevel] - the optional log level to use
+ * @param {LogLevel} defaultLogLevel - the log level to use if no log level is given
+ * @param {string} action - a description of the action for which the log level will be used (for the error message)
+ * @returns {LogLevel} the clean log level
+ * @throws {Error} if the given log level is NOT a valid log level
+ */
+function resolveLogLevelOrDefault(target, logLevel, defaultLogLevel, action) {
+  if (logLevel === undefined || logLevel === null) {
+    return defaultLogLevel;
+  }
+  if (!isValidLogLevel(logLevel, target._loggingSettings.customLevels)) {
+    throw new Error(`Cannot ${action} with an invalid log level (${logLevel})`);
+  }
+  return cleanLogLevel(logLevel);
+}
+
+/**
+ * Returns true if the logging method of the given log level is currently enabled on the given target (according to its
+ * enabled flag, e.g. debugEnabled or noticeEnabled); otherwise returns false.
+ * @param {Logger} target - the target to check
+ * @param {LogLevel} logLevel - the clean log level to check
+ * @returns {boolean} true if enabled; false otherwise
+ */
+function isLevelMethodEnabled(target, logLevel) {
+  return !!target[`${toLevelMethodName(logLevel)}Enabled`];
+}
+
+/**
+ * Returns the milliseconds (rounded to 3 decimal places) elapsed since the given high-resolution start time.
+ * @param {number[]} start - the start time returned by process.hrtime()
+ * @returns {number} the elapsed milliseconds
+ */
+function toElapsedMs(start) {
+  const elapsed = process.hrtime(start);
+  return Math.round(elapsed[0] * 1e6 + elapsed[1] / 1e3) / 1e3;
+}
+
+/**
+ * Creates a registry of configured loggers, which automatically tracks every added logger weakly (so that it can still
+ * be garbage collected) if WeakRef is supported by this version of Node.js; otherwise ignores added loggers & ONLY
+ * tracks explicitly tracked loggers (strongly, until removed).
+ * @returns {{add: function(target: Logger), track: function(target: Logger), remove: function(target: Logger): boolean, forEach: function(callback: function(target: Logger))}}
+ * a new registry
+ */
+function createConfiguredLoggersRegistry() {
+  if (typeof WeakRef !== 'function') {
+    const targets = new Set();
+    return {
+      add: noop,
+      track: target => { targets.add(target); },
+      remove: target => targets.delete(target),
+      forEach: callback => Array.from(targets).forEach(callback)
+    };
+  }
+
+  const tracked = new WeakSet();
+  let refs = [];
+  let pruneThreshold = 1000;
+
+  function prune() {
+    refs = refs.filter(ref => {
+      const target = ref.deref();
+      return target !== undefined && tracked.has(target);
+    });
+  }
+
+  function add(target) {
+    if (tracked.has(target)) {
+      return;
+    }
+    tracked.add(target);
+    refs.push(new WeakRef(target));
+    if (refs.length >= pruneThreshold) {
+      prune();
+      pruneThreshold = Math.max(1000, refs.length * 2);
+    }
+  }
+
+  function remove(target) {
+    return tracked.delete(target);
+  }
+
+  function forEach(callback) {
+    prune();
+    refs.slice().forEach(ref => {
+      const target = ref.deref();
+      if (target && tracked.has(target)) callback(target);
+    });
+  }
+
+  return {add: add, track: add, remove: remove, forEach: forEach};
+}
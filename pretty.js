@@ -0,0 +1,134 @@
+'use strict';
+
+// Dependencies
+const util = require('util');
+
+const errors = require('./errors');
+const formatError = errors.formatError;
+
+/**
+ * Utilities to pretty print logged output for developers, i.e. to colour level prefixes with ANSI escape codes, to
+ * pretty print objects with indentation and to shorten stack traces. Used by the 'pretty' log format (see logging.js).
+ * @module logging-utils/pretty
+ * @author Byron du Preez
+ */
+exports._$_ = '_$_'; //IDE workaround
+// Exports
+exports.colourise = colourise;
+exports.prettifyArguments = prettifyArguments;
+exports.shortenStack = shortenStack;
+exports.isPrettyByDefault = isPrettyByDefault;
+
+/**
+ * The ANSI escape codes with which to colour the prefixes of each of the supported log levels
+ * @type {Object.<string, string>}
+ */
+const levelColours = {
+  FATAL: '\u001b[1;35m', // bold magenta
+  ERROR: '\u001b[31m', // red
+  WARN: '\u001b[33m', // yellow
+  INFO: '\u001b[32m', // green
+  DEBUG: '\u001b[36m', // cyan
+  TRACE: '\u001b[90m', // grey
+  LOG: '\u001b[37m' // white
+};
+
+/**
+ * The ANSI escape code with which to colour the bindings & log context fields prefix
+ * @type {string}
+ */
+const dim = '\u001b[2m';
+
+/**
+ * The ANSI escape code with which to reset any colour
+ * @type {string}
+ */
+const reset = '\u001b[0m';
+
+/**
+ * The maximum number of stack frames to keep per stack trace
+ * @type {number}
+ */
+const maxStackFrames = 5;
+
+/**
+ * Colours the given text with the colour of the given level (or bold for any other level, e.g. a custom log level) or,
+ * if the level is undefined, dims the given text.
+ * @param {string|undefined} level - the level of the logging call or undefined to dim the text
+ * @param {string} text - the text to colour
+ * @returns {string} the coloured text (or the given text if empty)
+ */
+function colourise(level, text) {
+  if (!text) {
+    return text;
+  }
+  const colour = level === undefined ? dim : levelColours.hasOwnProperty(level) ? levelColours[level] : '\u001b[1m';
+  return `${colour}${text}${reset}`;
+}
+
+/**
+ * Replaces any errors in the given arguments of a logging call with formatted versions of the errors with shortened
+ * stack traces and any other non-string, non-null objects with coloured & indented versions of the objects.
+ * @param {Arguments|Array.<*>} args - the arguments of the logging call
+ */
+function prettifyArguments(args) {
+  for (let i = 0; i < args.length; ++i) {
+    const arg = args[i];
+    if (arg instanceof Error) {
+      args[i] = shortenStack(formatError(arg));
+    } else if (arg && typeof arg === 'object') {
+      args[i] = util.inspect(arg, {colors: true, depth: 10, breakLength: 80});
+    }
+  }
+}
+
+/**
+ * Shortens every stack trace in the given text by removing any Node.js internal frames and by only keeping at most the
+ * given maximum number of consecutive frames, which are followed by a "... N more" line if any frames were omitted.
+ * @param {string} text - the text containing stack traces (e.g. a formatted error)
+ * @param {number|undefined} [maxFrames] - the maximum number of consecutive frames to keep (defaults to 5)
+ * @returns {string} the text with shortened stack traces
+ */
+function shortenStack(text, maxFrames) {
+  const max = maxFrames >= 0 ? maxFrames : maxStackFrames;
+  const lines = text.split('\n');
+  const shortened = [];
+  let kept = 0;
+  let omitted = 0;
+  let omittedIndent = '';
+
+  function addOmitted() {
+    if (omitted > 0) {
+      shortened.push(`${omittedIndent}... ${omitted} more`);
+      omitted = 0;
+    }
+    kept = 0;
+  }
+
+  lines.forEach(line => {
+    const frame = /^(\s*)at /.exec(line);
+    if (!frame) {
+      addOmitted();
+      shortened.push(line);
+    } else if (/\((node:)?internal\/|at (node:)?internal\//.test(line)) {
+      // Skip Node.js internal frames
+    } else if (kept < max) {
+      ++kept;
+      shortened.push(line);
+    } else {
+      ++omitted;
+      omittedIndent = frame[1];
+    }
+  });
+  addOmitted();
+  return shortened.join('\n');
+}
+
+/**
+ * Returns true if output should be pretty printed by default, i.e. if standard output is an interactive terminal (TTY)
+ * and NODE_ENV is NOT 'production'; otherwise returns false.
+ * @returns {boolean} true if pretty by default; false otherwise
+ */
+function isPrettyByDefault() {
+  return !!(process.stdout && process.stdout.isTTY) && process.env.NODE_ENV !== 'production';
+}
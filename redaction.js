@@ -0,0 +1,208 @@
+'use strict';
+
+// Dependencies
+const strings = require('core-functions/strings');
+const isString = strings.isString;
+const isNotBlank = strings.isNotBlank;
+
+/**
+ * Utilities to redact (i.e. mask) sensitive data in the arguments of logging calls before they reach the underlying
+ * logger.
+ *
+ * Redaction is configured via RedactionSettings, which consist of:
+ * - keys - a list of key names (e.g. 'password', 'authorization'), which are matched at ANY depth, and/or dot-separated
+ *   object paths (e.g. 'user.secret', '*.token'), which are matched from the root of each argument and in which a `*`
+ *   segment matches any single key or array index;
+ * - patterns - a list of regular expressions (or regular expression source strings) with which to mask free-text
+ *   secrets (e.g. AWS access keys & JWTs) found in ANY string; and
+ * - mask - the text with which to replace redacted values (defaults to '[REDACTED]')
+ *
+ * Note that redaction NEVER modifies the original arguments, but instead creates redacted copies of any objects (i.e.
+ * plain objects, class instances, arrays, errors, maps & sets) that need to be redacted (in which any circular
+ * references are replaced with '[Circular]'). Copies of class instances & errors keep the original's prototype, but only
+ * its own properties (i.e. the own enumerable properties of class instances & all of the own properties of errors).
+ *
+ * @module logging-utils/redaction
+ * @author Byron du Preez
+ */
+exports._$_ = '_$_'; //IDE workaround
+// Exports
+exports.createRedactor = createRedactor;
+exports.isRedactionSettings = isRedactionSettings;
+
+/**
+ * The default text with which to replace redacted values
+ * @type {string}
+ */
+const DEFAULT_MASK = '[REDACTED]';
+exports.DEFAULT_MASK = DEFAULT_MASK;
+
+/**
+ * Common regular expressions for free-text secrets
+ * @enum {RegExp}
+ * @readonly
+ */
+const RedactionPatterns = {
+  AWS_ACCESS_KEY_ID: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g,
+  JWT: /\beyJ[A-Za-z0-9_-]*\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g,
+  BEARER_TOKEN: /\bBearer\s+[A-Za-z0-9._~+\/-]+=*/g
+};
+Object.freeze(RedactionPatterns);
+exports.RedactionPatterns = RedactionPatterns;
+
+/**
+ * Returns true if the given value is a usable RedactionSettings object (i.e. a non-null object with a non-empty keys
+ * array and/or a non-empty patterns array); otherwise returns false.
+ * @param {RedactionSettings|*} redaction - the value to check
+ * @returns {boolean} true if usable redaction settings; false otherwise
+ */
+function isRedactionSettings(redaction) {
+  return !!redaction && typeof redaction === 'object' &&
+    ((Array.isArray(redaction.keys) && redaction.keys.length > 0) ||
+    (Array.isArray(redaction.patterns) && redaction.patterns.length > 0));
+}
+
+/**
+ * Creates a redactor function from the given redaction settings (if usable).
+ * @param {RedactionSettings|undefined} [redaction] - the redaction settings to use
+ * @returns {function(value: *): *|undefined} a function that returns a redacted copy of any value that it is given (or
+ * the value itself if nothing in it needed to be redacted); or undefined if the given settings are not usable
+ */
+function createRedactor(redaction) {
+  if (!isRedactionSettings(redaction)) {
+    return undefined;
+  }
+  const mask = isString(redaction.mask) ? redaction.mask : DEFAULT_MASK;
+
+  // Split the keys into key names (matched at any depth) and object paths (matched from the root)
+  const names = [];
+  const paths = [];
+  (redaction.keys || []).filter(isNotBlank).forEach(key => {
+    const segments = `${key}`.trim().toLowerCase().split('.');
+    if (segments.length > 1) {
+      paths.push(segments);
+    } else {
+      names.push(segments[0]);
+    }
+  });
+
+  const regexes = (redaction.patterns || []).map(toGlobalRegExp).filter(regex => !!regex);
+
+  function isRedactedKey(path) {
+    const key = `${path[path.length - 1]}`.toLowerCase();
+    if (names.indexOf(key) !== -1) {
+      return true;
+    }
+    return paths.some(segments => segments.length === path.length &&
+      segments.every((segment, i) => segment === '*' || segment === `${path[i]}`.toLowerCase()));
+  }
+
+  function redactString(s) {
+    let result = s;
+    for (let i = 0; i < regexes.length; ++i) {
+      const regex = regexes[i];
+      regex.lastIndex = 0; //NB: MUST RESET lastIndex to zero for global regular expressions (i.e. /.../g )!
+      result = result.replace(regex, mask);
+    }
+    return result;
+  }
+
+  function redactValue(value, path, ancestors) {
+    if (isString(value)) {
+      return regexes.length > 0 ? redactString(`${value}`) : value;
+    }
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+    if (ancestors.indexOf(value) !== -1) {
+      // Replace circular references, since the original object may contain data that needs to be redacted
+      return '[Circular]';
+    }
+    if (value instanceof Map || value instanceof Set) {
+      return redactCollection(value, path, ancestors);
+    }
+    if (ArrayBuffer.isView(value) || value instanceof ArrayBuffer) {
+      return value; // binary data (e.g. a Buffer) cannot contain keys to redact
+    }
+    const isError = value instanceof Error;
+    const isArray = Array.isArray(value);
+
+    ancestors.push(value);
+    let changed = false;
+    const keys = isError ? Object.getOwnPropertyNames(value) : Object.keys(value);
+    const redactedValues = keys.map(key => {
+      const original = value[key];
+      path.push(key);
+      const redacted = isRedactedKey(path) ? mask : redactValue(original, path, ancestors);
+      path.pop();
+      if (redacted !== original) changed = true;
+      return redacted;
+    });
+    ancestors.pop();
+
+    if (!changed) {
+      return value;
+    }
+
+    // Create a redacted copy that preserves the original's type (i.e. its prototype & its error-ness)
+    const copy = isArray ? [] : Object.create(Object.getPrototypeOf(value));
+    keys.forEach((key, i) => {
+      if (isError) {
+        Object.defineProperty(copy, key, {value: redactedValues[i], enumerable: value.propertyIsEnumerable(key),
+          writable: true, configurable: true});
+      } else {
+        copy[key] = redactedValues[i];
+      }
+    });
+    return copy;
+  }
+
+  // Redacts the values of a map (masking those of redacted keys) or of a set into a new map or set (if changed)
+  function redactCollection(collection, path, ancestors) {
+    const isMap = collection instanceof Map;
+    ancestors.push(collection);
+    let changed = false;
+    const entries = [];
+    collection.forEach((original, key) => {
+      let redacted;
+      if (isMap && (isString(key) || typeof key === 'number')) {
+        path.push(key);
+        redacted = isRedactedKey(path) ? mask : redactValue(original, path, ancestors);
+        path.pop();
+      } else {
+        redacted = redactValue(original, path, ancestors);
+      }
+      if (redacted !== original) changed = true;
+      entries.push([key, redacted]);
+    });
+    ancestors.pop();
+
+    if (!changed) {
+      return collection;
+    }
+    return isMap ? new Map(entries) : new Set(entries.map(entry => entry[1]));
+  }
+
+  function redact(value) {
+    return redactValue(value, [], []);
+  }
+
+  return redact;
+}
+
+/**
+ * Converts the given regular expression or regular expression source string into a global regular expression.
+ * @param {RegExp|string} pattern - the pattern to convert
+ * @returns {RegExp|undefined} a global regular expression or undefined (if the pattern is invalid)
+ */
+function toGlobalRegExp(pattern) {
+  try {
+    if (pattern instanceof RegExp) {
+      return pattern.global ? new RegExp(pattern.source, pattern.flags) : new RegExp(pattern.source, `${pattern.flags}g`);
+    }
+    return isNotBlank(pattern) ? new RegExp(pattern, 'g') : undefined;
+  } catch (err) {
+    console.warn(`Skipping invalid redaction pattern (${pattern}) - ${err}`);
+    return undefined;
+  }
+}
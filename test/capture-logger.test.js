@@ -0,0 +1,76 @@
+'use strict';
+
+/**
+ * Unit tests for capture-logger.js
+ * @author Byron du Preez
+ */
+
+const test = require('tape');
+
+const captureLogging = require('../capture-logger.js');
+const createCaptureLogger = captureLogging.createCaptureLogger;
+
+const logging = require('../logging.js');
+const configureLogging = logging.configureLogging;
+const isMinimumViableLogger = logging.isMinimumViableLogger;
+const LogLevel = logging.LogLevel;
+
+// =====================================================================================================================
+// createCaptureLogger
+// =====================================================================================================================
+
+test('createCaptureLogger must create a minimum viable logger that captures every call', t => {
+  let time = 1000;
+  const captureLogger = createCaptureLogger(() => time++);
+  t.ok(isMinimumViableLogger(captureLogger), 'must be a minimum viable logger');
+
+  const log = configureLogging({}, {logLevel: LogLevel.TRACE, underlyingLogger: captureLogger}, undefined, true);
+  captureLogger.clear();
+  t.equal(captureLogger.entries.length, 0, 'clear must discard all entries');
+  time = 1000;
+
+  log.error('Error message', 1);
+  log.warn('Warn message', {a: 1});
+  log.trace('Trace message');
+  log.log('Log message');
+
+  t.deepEqual(captureLogger.entries, [
+    {level: 'ERROR', args: ['ERROR Error message', 1], formatted: 'ERROR Error message 1', time: 1000},
+    {level: 'WARN', args: ['WARN Warn message', {a: 1}], formatted: 'WARN Warn message { a: 1 }', time: 1001},
+    {level: 'TRACE', args: ['TRACE Trace message'], formatted: 'TRACE Trace message', time: 1002},
+    {level: 'LOG', args: ['LOG Log message'], formatted: 'LOG Log message', time: 1003}
+  ], 'entries');
+  t.end();
+});
+
+test('createCaptureLogger assertion helpers', t => {
+  const captureLogger = createCaptureLogger();
+  const log = configureLogging({}, {logLevel: LogLevel.INFO, underlyingLogger: captureLogger}, undefined, true);
+
+  log.warn('Low disk space on /dev/sda1');
+  log.info('Started');
+  log.debug('Suppressed');
+
+  t.equal(captureLogger.expectLogged('warn', /Low disk/).level, 'WARN', 'expectLogged must return matching entry');
+  t.ok(captureLogger.expectLogged(undefined, 'Started'), 'expectLogged must match any level with a substring');
+  t.ok(captureLogger.expectLogged('INFO'), 'expectLogged must match any text');
+  t.throws(() => captureLogger.expectLogged('ERROR', /Low disk/), /Expected a ERROR message matching \/Low disk\/ to have been logged, but captured: \n  WARN: WARN Low disk/,
+    'expectLogged must throw if not logged');
+  t.doesNotThrow(() => captureLogger.expectNotLogged('DEBUG'), 'expectNotLogged must not throw if not logged');
+  t.throws(() => captureLogger.expectNotLogged(undefined, /started/i), /NOT to have been logged/,
+    'expectNotLogged must throw if logged');
+  t.equal(captureLogger.find('INFO', /Start/g).length, 1, 'find must match global regular expressions');
+  t.equal(captureLogger.find('INFO', /Start/g).length, 1, 'find must match global regular expressions repeatedly');
+
+  captureLogger.clear();
+  t.throws(() => captureLogger.expectLogged('WARN'), /but captured: nothing/, 'expectLogged after clear must throw');
+  t.end();
+});
+
+test('createCaptureLogger must capture fatal calls as FATAL entries', t => {
+  const captureLogger = createCaptureLogger();
+  const log = configureLogging({}, {logLevel: LogLevel.INFO, underlyingLogger: captureLogger}, undefined, true);
+  log.fatal('Dying');
+  t.equal(captureLogger.expectLogged('FATAL', 'Dying').formatted, 'FATAL Dying', 'must capture FATAL entry');
+  t.end();
+});
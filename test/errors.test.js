@@ -0,0 +1,116 @@
+'use strict';
+
+/**
+ * Unit tests for errors.js
+ * @author Byron du Preez
+ */
+
+const test = require('tape');
+
+const errors = require('../errors.js');
+const serializeError = errors.serializeError;
+const formatError = errors.formatError;
+
+function createNestedError() {
+  const inner = new Error('Inner boom');
+  inner.code = 'E_INNER';
+
+  const outer = new TypeError('Outer boom');
+  outer.code = 'E_OUTER';
+  outer.statusCode = 500;
+  Object.defineProperty(outer, 'cause', {value: inner, enumerable: false, writable: true, configurable: true});
+  return outer;
+}
+
+function createAggregateError() {
+  const a = new Error('Boom A');
+  const b = new RangeError('Boom B');
+  const aggregate = new Error('Multiple booms');
+  aggregate.name = 'AggregateError';
+  Object.defineProperty(aggregate, 'errors', {value: [a, b], enumerable: false, writable: true, configurable: true});
+  return aggregate;
+}
+
+// =====================================================================================================================
+// serializeError
+// =====================================================================================================================
+
+test('serializeError must serialise name, message, code, stack, custom properties & cause chain', t => {
+  const err = createNestedError();
+  const serialized = serializeError(err);
+
+  t.equal(serialized.name, 'TypeError', 'name');
+  t.equal(serialized.message, 'Outer boom', 'message');
+  t.equal(serialized.code, 'E_OUTER', 'code');
+  t.equal(serialized.stack, err.stack, 'stack');
+  t.equal(serialized.statusCode, 500, 'custom property');
+  t.equal(serialized.cause.name, 'Error', 'cause name');
+  t.equal(serialized.cause.message, 'Inner boom', 'cause message');
+  t.equal(serialized.cause.code, 'E_INNER', 'cause code');
+  t.equal(serialized.cause.stack, err.cause.stack, 'cause stack');
+  t.notOk(serialized.cause instanceof Error, 'cause must be a plain object');
+  t.doesNotThrow(() => JSON.stringify(serialized), 'must be convertible to JSON');
+  t.end();
+});
+
+test('serializeError must serialise aggregated errors & non-error causes', t => {
+  const aggregate = createAggregateError();
+  aggregate.cause = 'Some reason';
+  const serialized = serializeError(aggregate);
+
+  t.equal(serialized.name, 'AggregateError', 'name');
+  t.deepEqual(serialized.errors.map(e => e.name), ['Error', 'RangeError'], 'aggregated error names');
+  t.deepEqual(serialized.errors.map(e => e.message), ['Boom A', 'Boom B'], 'aggregated error messages');
+  t.equal(serialized.cause, 'Some reason', 'non-error cause');
+  t.notOk(serialized.hasOwnProperty('code'), 'must have no code');
+
+  if (typeof AggregateError === 'function') {
+    const nativeAggregate = new AggregateError([new Error('Native A')], 'Native aggregate');
+    t.deepEqual(serializeError(nativeAggregate).errors.map(e => e.message), ['Native A'], 'native aggregated errors');
+  }
+  t.end();
+});
+
+test('serializeError must replace circular causes with [Circular]', t => {
+  const a = new Error('A');
+  const b = new Error('B');
+  a.cause = b;
+  b.cause = a;
+
+  const serialized = serializeError(a);
+  t.equal(serialized.cause.message, 'B', 'cause message');
+  t.equal(serialized.cause.cause, '[Circular]', 'circular cause');
+  t.equal(serializeError('Not an error'), 'Not an error', 'non-errors must be returned as is');
+  t.end();
+});
+
+// =====================================================================================================================
+// formatError
+// =====================================================================================================================
+
+test('formatError must format stack, code, custom properties & cause chain', t => {
+  const err = createNestedError();
+  const text = formatError(err);
+
+  t.ok(text.startsWith(err.stack), 'must start with stack');
+  t.ok(text.indexOf('"code":"E_OUTER"') !== -1, 'must contain code');
+  t.ok(text.indexOf('"statusCode":500') !== -1, 'must contain custom property');
+  t.ok(text.indexOf(`\nCaused by: ${err.cause.stack}`) !== -1, 'must contain cause stack');
+  t.ok(text.indexOf('"code":"E_INNER"') !== -1, 'must contain cause code');
+  t.end();
+});
+
+test('formatError must format aggregated errors & circular causes', t => {
+  const aggregate = createAggregateError();
+  aggregate.cause = aggregate;
+  const text = formatError(aggregate);
+
+  t.ok(text.indexOf('[errors[0]] Error: Boom A') !== -1, 'must contain first aggregated error');
+  t.ok(text.indexOf('[errors[1]] RangeError: Boom B') !== -1, 'must contain second aggregated error');
+  t.ok(text.endsWith('Caused by: [Circular]'), 'must replace circular cause');
+
+  const noStack = new Error('No stack');
+  noStack.stack = undefined;
+  t.equal(formatError(noStack), 'Error: No stack', 'must use name & message without stack');
+  t.end();
+});
@@ -0,0 +1,142 @@
+'use strict';
+
+/**
+ * Unit tests for file-logger.js
+ * @author Byron du Preez
+ */
+
+const test = require('tape');
+
+const fs = require('fs');
+const os = require('os');
+const pathModule = require('path');
+const zlib = require('zlib');
+
+const fileLogger = require('../file-logger.js');
+const createFileLogger = fileLogger.createFileLogger;
+const RotationInterval = fileLogger.RotationInterval;
+
+const logging = require('../logging.js');
+const configureLogging = logging.configureLogging;
+const isMinimumViableLogger = logging.isMinimumViableLogger;
+const LogLevel = logging.LogLevel;
+
+function createTempDir() {
+  return fs.mkdtempSync(pathModule.join(os.tmpdir(), 'logging-utils-'));
+}
+
+function removeDir(dir) {
+  fs.readdirSync(dir).forEach(file => fs.unlinkSync(pathModule.join(dir, file)));
+  fs.rmdirSync(dir);
+}
+
+function read(path) {
+  return fs.readFileSync(path, 'utf8');
+}
+
+// =====================================================================================================================
+// createFileLogger
+// =====================================================================================================================
+
+test('createFileLogger must validate its options', t => {
+  t.throws(() => createFileLogger(), /without a path/, 'no options must throw');
+  t.throws(() => createFileLogger({path: ' '}), /without a path/, 'blank path must throw');
+  t.throws(() => createFileLogger({path: 'x.log', interval: 'weekly'}), /invalid rotation interval/,
+    'invalid interval must throw');
+  t.end();
+});
+
+test('createFileLogger must create a minimum viable logger that appends lines to a file', t => {
+  const dir = createTempDir();
+  const path = pathModule.join(dir, 'app.log');
+  fs.writeFileSync(path, 'Existing line\n');
+
+  const logger = createFileLogger({path: path});
+  t.ok(isMinimumViableLogger(logger), 'must be a minimum viable logger');
+
+  const context = configureLogging({}, {logLevel: LogLevel.DEBUG, underlyingLogger: logger}, undefined, true);
+  context.info('Info message', {a: 1});
+  context.error('Error message', 2);
+  context.trace('Trace message');
+  logger.close();
+
+  const lines = read(path).split('\n');
+  t.equal(lines[0], 'Existing line', 'must append to existing file');
+  t.ok(lines[1].startsWith('DEBUG Logging configured'), 'must log configuration');
+  t.equal(lines[2], 'INFO Info message { a: 1 }', 'must log info message');
+  t.equal(lines[3], 'ERROR Error message 2', 'must log error message');
+  t.equal(lines.length, 5, 'must not log suppressed trace message');
+
+  removeDir(dir);
+  t.end();
+});
+
+test('createFileLogger must rotate by size & retain only maxFiles archives', t => {
+  const dir = createTempDir();
+  const path = pathModule.join(dir, 'app.log');
+  const logger = createFileLogger({path: path, maxSize: 20, maxFiles: 2});
+
+  for (let i = 1; i <= 5; ++i) {
+    logger.log(`Message ${i} ......`); // 20 bytes per line with the newline
+  }
+  logger.close();
+
+  t.equal(read(path), 'Message 5 ......\n', 'current file must contain latest message');
+  t.equal(read(`${path}.1`), 'Message 4 ......\n', 'archive 1 must contain previous message');
+  t.equal(read(`${path}.2`), 'Message 3 ......\n', 'archive 2 must contain older message');
+  t.notOk(fs.existsSync(`${path}.3`), 'must not retain more than maxFiles archives');
+
+  removeDir(dir);
+  t.end();
+});
+
+test('createFileLogger must rotate by date & gzip archives', t => {
+  const dir = createTempDir();
+  const path = pathModule.join(dir, 'app.log');
+  let time = new Date(2018, 5, 21, 10, 0, 0).getTime();
+  const logger = createFileLogger({path: path, interval: RotationInterval.DAILY, compress: true}, () => time);
+
+  logger.info('Day 1 message 1');
+  time += 60 * 60 * 1000;
+  logger.info('Day 1 message 2');
+  time += 24 * 60 * 60 * 1000;
+  logger.info('Day 2 message 1');
+  logger.close();
+
+  t.equal(read(path), 'Day 2 message 1\n', 'current file must contain only day 2 messages');
+  t.notOk(fs.existsSync(`${path}.1.gz`), 'must compress the archive asynchronously');
+
+  logger.whenArchived().then(() => {
+    t.equal(zlib.gunzipSync(fs.readFileSync(`${path}.1.gz`)).toString(), 'Day 1 message 1\nDay 1 message 2\n',
+      'gzipped archive must contain day 1 messages');
+    t.notOk(fs.existsSync(`${path}.1`), 'must not retain uncompressed archive');
+    t.deepEqual(fs.readdirSync(dir).sort(), ['app.log', 'app.log.1.gz'], 'must not retain the pending archive');
+
+    removeDir(dir);
+    t.end();
+  });
+});
+
+test('createFileLogger must compress archives rotated in quick succession in order', t => {
+  const dir = createTempDir();
+  const path = pathModule.join(dir, 'app.log');
+  const logger = createFileLogger({path: path, maxSize: 20, maxFiles: 2, compress: true});
+
+  for (let i = 1; i <= 4; ++i) {
+    logger.log(`Message ${i} ......`); // 20 bytes per line with the newline
+  }
+  logger.close();
+
+  logger.whenArchived().then(() => {
+    t.equal(read(path), 'Message 4 ......\n', 'current file must contain latest message');
+    t.equal(zlib.gunzipSync(fs.readFileSync(`${path}.1.gz`)).toString(), 'Message 3 ......\n',
+      'archive 1 must contain previous message');
+    t.equal(zlib.gunzipSync(fs.readFileSync(`${path}.2.gz`)).toString(), 'Message 2 ......\n',
+      'archive 2 must contain older message');
+    t.deepEqual(fs.readdirSync(dir).sort(), ['app.log', 'app.log.1.gz', 'app.log.2.gz'],
+      'must retain only maxFiles archives & no pending archives');
+
+    removeDir(dir);
+    t.end();
+  });
+});
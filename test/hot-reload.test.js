@@ -0,0 +1,263 @@
+'use strict';
+
+/**
+ * Unit tests for hot-reload.js (and for reloadLogging in logging.js)
+ * @author Byron du Preez
+ */
+
+const test = require('tape');
+
+const fs = require('fs');
+const os = require('os');
+const pathModule = require('path');
+
+const logging = require('../logging.js');
+const LogLevel = logging.LogLevel;
+const configureLogging = logging.configureLogging;
+// Explicitly track loggers, so that they are also reloaded on versions of Node.js without WeakRef
+const track = logging.trackLogging;
+
+const hotReload = require('../hot-reload.js');
+const enableHotReload = hotReload.enableHotReload;
+
+const createCaptureLogger = require('../capture-logger.js').createCaptureLogger;
+
+/**
+ * Runs the given function with a temporary LOGGING_CONFIG_FILE containing the given options & without any LOG_LEVEL
+ * environment variable and then restores the environment.
+ */
+function withConfigFile(options, fn) {
+  const cwd = process.cwd();
+  const env = {LOGGING_CONFIG_FILE: process.env.LOGGING_CONFIG_FILE, LOG_LEVEL: process.env.LOG_LEVEL};
+  delete process.env.LOG_LEVEL;
+  const dir = fs.mkdtempSync(pathModule.join(os.tmpdir(), 'logging-utils-'));
+  const configFile = pathModule.join(dir, 'logging.json');
+  try {
+    process.chdir(dir);
+    fs.writeFileSync(configFile, JSON.stringify(options));
+    process.env.LOGGING_CONFIG_FILE = configFile;
+    return fn(configFile);
+  } finally {
+    process.chdir(cwd);
+    Object.keys(env).forEach(name => {
+      if (env[name] === undefined) delete process.env[name]; else process.env[name] = env[name];
+    });
+    fs.unlinkSync(configFile);
+    fs.rmdirSync(dir);
+  }
+}
+
+// =====================================================================================================================
+// reloadLogging
+// =====================================================================================================================
+test('reloadLogging must re-resolve & apply the settings of every configured logger', t => {
+  const changes = [];
+  const listener = (target, newLogLevel, oldLogLevel) => changes.push([target, newLogLevel, oldLogLevel]);
+  try {
+    withConfigFile({logLevel: 'info'}, configFile => {
+      const logger = createCaptureLogger();
+      const context = track(configureLogging({}, {underlyingLogger: logger}, undefined, true));
+      const explicit = track(configureLogging({}, {logLevel: LogLevel.ERROR, underlyingLogger: logger}, undefined,
+        true));
+      const child = track(context.child({id: 1}));
+      const overridden = track(context.child({id: 2}, {logLevel: LogLevel.WARN}));
+      const runtime = track(configureLogging({}, {underlyingLogger: logger}, undefined, true));
+      logging.setLogLevel(runtime, LogLevel.TRACE);
+      const named = logging.getLogger('reload-test', {underlyingLogger: logger});
+      t.equal(context.logLevel, LogLevel.INFO, 'context logLevel must be INFO from config file');
+      t.equal(named.logLevel, LogLevel.INFO, 'named logLevel must be INFO from config file');
+
+      fs.writeFileSync(configFile, JSON.stringify({logLevel: 'debug', useLevelPrefixes: false}));
+      t.equal(configureLogging({}, {underlyingLogger: logger}, undefined, true).logLevel, LogLevel.INFO,
+        'config file must NOT be re-read before reloadLogging');
+      logging.addLogLevelChangeListener(listener);
+      const count = logging.reloadLogging();
+      t.ok(count >= 6, `must reload at least 6 loggers (${count})`);
+
+      t.equal(context.logLevel, LogLevel.DEBUG, 'context logLevel must be reloaded');
+      t.equal(context._loggingSettings.useLevelPrefixes, false, 'context useLevelPrefixes must be reloaded');
+      t.equal(logging.explainLoggingConfiguration(context).logLevel.source, `LOGGING_CONFIG_FILE file (${configFile})`,
+        'context logLevel source must be config file');
+      t.equal(explicit.logLevel, LogLevel.ERROR, 'explicit logLevel must be retained');
+      t.equal(child.logLevel, LogLevel.DEBUG, 'child logLevel must be re-inherited from its reloaded parent');
+      t.equal(child._loggingSettings.bindings.id, 1, 'child bindings must be retained');
+      t.equal(overridden.logLevel, LogLevel.WARN, 'overridden child logLevel must be retained');
+      t.equal(runtime.logLevel, LogLevel.TRACE, 'logLevel set via setLogLevel must be retained');
+      t.equal(named.logLevel, LogLevel.DEBUG, 'named logLevel must be reloaded');
+      t.equal(logging.getLogger('reload-test'), named, 'named logger must be the same instance');
+
+      t.ok(changes.some(c => c[0] === context && c[1] === LogLevel.DEBUG && c[2] === LogLevel.INFO),
+        'must notify listeners of context change');
+      t.notOk(changes.some(c => c[0] === explicit || c[0] === runtime), 'must not notify listeners of unchanged loggers');
+
+      logger.clear();
+      child.debug('Hot');
+      t.equal(logger.entries.length, 1, 'child must log debug messages');
+      t.equal(logger.entries[0].formatted, '[id=1] Hot', 'child must log without level prefix');
+    });
+  } finally {
+    logging.removeLogLevelChangeListener(listener);
+  }
+  t.end();
+});
+
+test('reloadLogging must reload every other logger if any loggers fail to reload & then report every failure', t => {
+  const error = console.error;
+  console.error = () => undefined;
+  try {
+    withConfigFile({logLevel: 'warn'}, configFile => {
+      const logger = createCaptureLogger();
+      // Invalid settings are ignored until strict mode is enabled by the config file
+      const invalid1 = track(configureLogging({}, {logLevel: 'DEBGU', underlyingLogger: logger}, undefined, true));
+      const valid = track(configureLogging({}, {underlyingLogger: logger}, undefined, true));
+      const invalid2 = track(configureLogging({}, {format: 'xml', underlyingLogger: logger}, undefined, true));
+      const untracked = track(configureLogging({}, {underlyingLogger: logger}, undefined, true));
+      t.equal(logging.untrackLogging(untracked), true, 'untrackLogging must untrack a tracked logger');
+      t.equal(logging.untrackLogging(untracked), false, 'untrackLogging must NOT untrack an untracked logger');
+
+      fs.writeFileSync(configFile, JSON.stringify({logLevel: 'error', strict: true}));
+      try {
+        logging.reloadLogging();
+        t.fail('reloadLogging must throw');
+      } catch (err) {
+        t.ok(/^Failed to reload the logging configuration of [0-9]+ logger\(s\)/.test(err.message), 'must report failures');
+        t.ok(err.errors.some(e => /logLevel \(DEBGU\)/.test(e.message)), 'must report 1st failure');
+        t.ok(err.errors.some(e => /format \(xml\)/.test(e.message)), 'must report 2nd failure');
+      }
+      t.equal(invalid1.logLevel, LogLevel.WARN, '1st invalid logger must keep its configuration');
+      t.equal(valid.logLevel, LogLevel.ERROR, 'valid logger must be reloaded');
+      t.equal(invalid2.logLevel, LogLevel.WARN, '2nd invalid logger must keep its configuration');
+      t.equal(untracked.logLevel, LogLevel.WARN, 'untracked logger must NOT be reloaded');
+
+      // Untrack the invalid loggers, so that they do NOT affect any other reloads
+      logging.untrackLogging(invalid1);
+      logging.untrackLogging(invalid2);
+    });
+  } finally {
+    console.error = error;
+  }
+  t.end();
+});
+
+test('trackLogging must only track targets configured via configureLogging or via child', t => {
+  t.throws(() => track({}), /Cannot track a target that was NOT configured/, 'must throw for an unconfigured target');
+  const context = configureLogging({}, {underlyingLogger: createCaptureLogger()}, undefined, true);
+  t.equal(track(context), context, 'must return the tracked target');
+  t.equal(logging.untrackLogging(context), true, 'must untrack the tracked target');
+  t.end();
+});
+
+test('reloadLogging must NOT keep per-request loggers on versions of Node.js without WeakRef', t => {
+  // Load a fresh copy of logging.js as if WeakRef were NOT supported
+  const loggingPath = require.resolve('../logging.js');
+  const cachedModule = require.cache[loggingPath];
+  const weakRef = global.WeakRef;
+  let freshLogging;
+  try {
+    delete require.cache[loggingPath];
+    global.WeakRef = undefined;
+    freshLogging = require('../logging.js');
+  } finally {
+    global.WeakRef = weakRef;
+    require.cache[loggingPath] = cachedModule;
+  }
+
+  const logger = createCaptureLogger();
+  for (let i = 0; i < 100; ++i) {
+    const requestLogger = freshLogging.configureLogging({}, {underlyingLogger: logger}, undefined, true);
+    requestLogger.child({requestId: i}).info('Handled request');
+  }
+  t.equal(freshLogging.reloadLogging(), 0, 'must NOT track per-request loggers or their children');
+
+  const appLogger = freshLogging.configureLogging({}, {underlyingLogger: logger}, undefined, true);
+  freshLogging.trackLogging(appLogger);
+  t.equal(freshLogging.reloadLogging(), 1, 'must only reload explicitly tracked loggers');
+  t.equal(freshLogging.untrackLogging(appLogger), true, 'must untrack explicitly tracked loggers');
+  t.equal(freshLogging.reloadLogging(), 0, 'must NOT reload untracked loggers');
+  t.end();
+});
+
+// =====================================================================================================================
+// enableHotReload
+// =====================================================================================================================
+
+test('enableHotReload must reload logging on signals until disabled', t => {
+  withConfigFile({logLevel: 'warn'}, configFile => {
+    const context = track(configureLogging({}, {underlyingLogger: createCaptureLogger()}, undefined, true));
+    t.equal(context.logLevel, LogLevel.WARN, 'logLevel must be WARN from config file');
+
+    const disableHotReload = enableHotReload({configFile: undefined, signals: ['SIGHUP']});
+    fs.writeFileSync(configFile, JSON.stringify({logLevel: 'trace'}));
+    process.emit('SIGHUP', 'SIGHUP');
+    t.equal(context.logLevel, LogLevel.TRACE, 'logLevel must be reloaded on SIGHUP');
+
+    disableHotReload();
+    t.equal(process.listenerCount('SIGHUP'), 0, 'must remove SIGHUP listener');
+  });
+  t.end();
+});
+
+test('enableHotReload must log reload failures instead of throwing', t => {
+  withConfigFile({logLevel: 'warn'}, configFile => {
+    // Invalid settings are ignored until strict mode is enabled by the config file
+    const invalid = track(configureLogging({}, {logLevel: 'DEBGU', underlyingLogger: createCaptureLogger()}, undefined,
+      true));
+
+    const disableHotReload = enableHotReload({configFile: undefined, signals: ['SIGUSR2']});
+    const error = console.error;
+    const errors = [];
+    console.error = msg => errors.push(msg);
+    try {
+      fs.writeFileSync(configFile, JSON.stringify({strict: true}));
+      t.doesNotThrow(() => process.emit('SIGUSR2', 'SIGUSR2'), 'must not throw');
+    } finally {
+      console.error = error;
+      disableHotReload();
+      logging.untrackLogging(invalid);
+    }
+    t.ok(errors.some(msg => /^Failed to reload logging configuration \(received SIGUSR2\)/.test(msg)),
+      'must log failure');
+  });
+  t.end();
+});
+
+test('enableHotReload must reload logging when the config file changes', t => {
+  const cwd = process.cwd();
+  const logLevel = process.env.LOG_LEVEL;
+  const configFileEnv = process.env.LOGGING_CONFIG_FILE;
+  const dir = fs.mkdtempSync(pathModule.join(os.tmpdir(), 'logging-utils-'));
+  const configFile = pathModule.join(dir, 'logging.json');
+  delete process.env.LOG_LEVEL;
+  process.chdir(dir);
+  fs.writeFileSync(configFile, JSON.stringify({logLevel: 'warn'}));
+  process.env.LOGGING_CONFIG_FILE = configFile;
+
+  const context = track(configureLogging({}, {underlyingLogger: createCaptureLogger()}, undefined, true));
+  t.equal(context.logLevel, LogLevel.WARN, 'logLevel must be WARN from config file');
+
+  const disableHotReload = enableHotReload({signals: [], intervalMs: 10});
+
+  // Only change the config file once the watcher has had time to take its initial snapshot of the file
+  setTimeout(() => {
+    fs.writeFileSync(configFile, JSON.stringify({logLevel: 'error'}));
+    const future = new Date(Date.now() + 60000);
+    fs.utimesSync(configFile, future, future);
+  }, 200);
+
+  const startTime = Date.now();
+  const timer = setInterval(() => {
+    if (context.logLevel !== LogLevel.ERROR && Date.now() - startTime < 5000) {
+      return;
+    }
+    clearInterval(timer);
+    disableHotReload();
+    t.equal(context.logLevel, LogLevel.ERROR, 'logLevel must be reloaded when the config file changes');
+
+    process.chdir(cwd);
+    if (logLevel === undefined) delete process.env.LOG_LEVEL; else process.env.LOG_LEVEL = logLevel;
+    if (configFileEnv === undefined) delete process.env.LOGGING_CONFIG_FILE; else process.env.LOGGING_CONFIG_FILE = configFileEnv;
+    fs.unlinkSync(configFile);
+    fs.rmdirSync(dir);
+    t.end();
+  }, 20);
+});
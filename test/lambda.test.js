@@ -0,0 +1,99 @@
+'use strict';
+
+/**
+ * Unit tests for lambda.js
+ * @author Byron du Preez
+ */
+
+const test = require('tape');
+
+const lambda = require('../lambda.js');
+const configureLambdaLogging = lambda.configureLambdaLogging;
+const warnOnLowRemainingTime = lambda.warnOnLowRemainingTime;
+
+const logging = require('../logging.js');
+const LogLevel = logging.LogLevel;
+
+const createCaptureLogger = require('../capture-logger.js').createCaptureLogger;
+
+function fakeAwsContext(remainingTimeInMillis) {
+  return {
+    awsRequestId: 'req-123',
+    functionName: 'my-function',
+    functionVersion: '$LATEST',
+    getRemainingTimeInMillis: () => remainingTimeInMillis
+  };
+}
+
+// =====================================================================================================================
+// configureLambdaLogging
+// =====================================================================================================================
+
+test('configureLambdaLogging must bind the invocation details to every message', t => {
+  const traceHeader = process.env._X_AMZN_TRACE_ID;
+  try {
+    process.env._X_AMZN_TRACE_ID = 'Root=1-5759e988-bd862e3fe1be46a994272793;Parent=53995c3f42cd8ad8;Sampled=1';
+    const captureLogger = createCaptureLogger();
+    const settings = {logLevel: LogLevel.INFO, underlyingLogger: captureLogger, bindings: {tenant: 'acme'}};
+
+    const context = configureLambdaLogging({}, {}, fakeAwsContext(3000), settings);
+    context.info('Invocation 1');
+    t.equal(captureLogger.entries[0].formatted, 'INFO [awsRequestId=req-123 functionName=my-function ' +
+      'functionVersion=$LATEST coldStart=true traceId=1-5759e988-bd862e3fe1be46a994272793 tenant=acme] Invocation 1',
+      'first invocation');
+    t.deepEqual(settings.bindings, {tenant: 'acme'}, 'must not modify the given settings');
+
+    // Configuring another target during the same (first) invocation must also report a cold start
+    delete process.env._X_AMZN_TRACE_ID;
+    const other = configureLambdaLogging({}, {}, fakeAwsContext(3000), settings);
+    other.info('Invocation 1 again');
+    t.equal(captureLogger.entries[1].formatted, 'INFO [awsRequestId=req-123 functionName=my-function ' +
+      'functionVersion=$LATEST coldStart=true tenant=acme] Invocation 1 again',
+      'another target in the first invocation');
+    captureLogger.clear();
+
+    // Reconfiguring the same target for a subsequent invocation must override its bindings
+    const awsContext2 = fakeAwsContext(3000);
+    awsContext2.awsRequestId = 'req-456';
+    configureLambdaLogging(context, {}, awsContext2, settings);
+    context.info('Invocation 2');
+    t.equal(captureLogger.entries[0].formatted, 'INFO [awsRequestId=req-456 functionName=my-function ' +
+      'functionVersion=$LATEST coldStart=false tenant=acme] Invocation 2', 'second invocation');
+  } finally {
+    if (traceHeader === undefined) delete process.env._X_AMZN_TRACE_ID; else process.env._X_AMZN_TRACE_ID = traceHeader;
+  }
+  t.end();
+});
+
+// =====================================================================================================================
+// warnOnLowRemainingTime
+// =====================================================================================================================
+
+test('warnOnLowRemainingTime must warn immediately when the remaining time is already below the threshold', t => {
+  const captureLogger = createCaptureLogger();
+  const context = logging.configureLogging({}, {underlyingLogger: captureLogger}, undefined, true);
+  warnOnLowRemainingTime(context, fakeAwsContext(500), 1000);
+  t.deepEqual(captureLogger.entries.map(e => [e.level, e.formatted]),
+    [['WARN', 'WARN Remaining time (500 ms) has fallen below 1000 ms']], 'warning');
+  t.end();
+});
+
+test('warnOnLowRemainingTime must warn when the remaining time falls below the threshold', t => {
+  const captureLogger = createCaptureLogger();
+  const context = logging.configureLogging({}, {underlyingLogger: captureLogger}, undefined, true);
+  const start = Date.now();
+  const awsContext = fakeAwsContext(0);
+  awsContext.getRemainingTimeInMillis = () => 1020 - (Date.now() - start);
+
+  warnOnLowRemainingTime(context, awsContext, 1000);
+  const cancel = warnOnLowRemainingTime(context, fakeAwsContext(1020), 1000);
+  cancel();
+  t.doesNotThrow(() => captureLogger.expectNotLogged('WARN'), 'must not warn before the threshold');
+
+  setTimeout(() => {
+    t.equal(captureLogger.entries.length, 1, 'must warn once (& not for the cancelled warning)');
+    const warning = /^WARN Remaining time \(\d+ ms\) has fallen below 1000 ms$/;
+    t.doesNotThrow(() => captureLogger.expectLogged('WARN', warning), 'warning');
+    t.end();
+  }, 100);
+});
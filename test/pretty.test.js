@@ -0,0 +1,85 @@
+'use strict';
+
+/**
+ * Unit tests for pretty.js
+ * @author Byron du Preez
+ */
+
+const test = require('tape');
+
+const pretty = require('../pretty.js');
+const colourise = pretty.colourise;
+const prettifyArguments = pretty.prettifyArguments;
+const shortenStack = pretty.shortenStack;
+const isPrettyByDefault = pretty.isPrettyByDefault;
+
+// =====================================================================================================================
+// colourise
+// =====================================================================================================================
+
+test('colourise must colour levels & dim undefined levels', t => {
+  t.equal(colourise('ERROR', 'ERROR'), '\u001b[31mERROR\u001b[0m', 'must colour ERROR red');
+  t.equal(colourise('INFO', 'INFO'), '\u001b[32mINFO\u001b[0m', 'must colour INFO green');
+  t.equal(colourise('NOTICE', 'NOTICE'), '\u001b[1mNOTICE\u001b[0m', 'must embolden other levels');
+  t.equal(colourise(undefined, '[id=1]'), '\u001b[2m[id=1]\u001b[0m', 'must dim undefined level');
+  t.equal(colourise('INFO', ''), '', 'must leave empty text as is');
+  t.end();
+});
+
+// =====================================================================================================================
+// prettifyArguments
+// =====================================================================================================================
+
+test('prettifyArguments must pretty print objects & errors and leave other arguments as is', t => {
+  const err = new Error('Boom');
+  const args = ['Message', {a: {b: 1}}, err, 42, null];
+  prettifyArguments(args);
+
+  t.equal(args[0], 'Message', 'must leave strings as is');
+  t.ok(args[1].indexOf('\u001b[') !== -1, 'must colour objects');
+  t.ok(args[1].indexOf('b:') !== -1, 'must include nested properties');
+  t.ok(args[2].startsWith('Error: Boom'), 'must format errors');
+  t.equal(args[3], 42, 'must leave numbers as is');
+  t.equal(args[4], null, 'must leave null as is');
+  t.end();
+});
+
+// =====================================================================================================================
+// shortenStack
+// =====================================================================================================================
+
+test('shortenStack must drop internal frames & keep at most the maximum number of frames', t => {
+  const stack = ['Error: Boom', '    at a (/app/a.js:1:1)', '    at b (/app/b.js:2:2)',
+    '    at internal (node:internal/process/task_queues:95:5)', '    at c (/app/c.js:3:3)', '    at d (/app/d.js:4:4)',
+    'Caused by: Error: Inner', '    at e (/app/e.js:5:5)'].join('\n');
+
+  t.equal(shortenStack(stack, 2), ['Error: Boom', '    at a (/app/a.js:1:1)', '    at b (/app/b.js:2:2)',
+    '    ... 2 more', 'Caused by: Error: Inner', '    at e (/app/e.js:5:5)'].join('\n'), 'must shorten stacks');
+  t.equal(shortenStack(stack).split('\n').length, 7, 'must keep at most 5 frames by default');
+  t.end();
+});
+
+// =====================================================================================================================
+// isPrettyByDefault
+// =====================================================================================================================
+
+test('isPrettyByDefault must only be true on a TTY outside of production', t => {
+  const isTTY = process.stdout.isTTY;
+  const nodeEnv = process.env.NODE_ENV;
+  try {
+    process.stdout.isTTY = true;
+    delete process.env.NODE_ENV;
+    t.ok(isPrettyByDefault(), 'must be true on a TTY');
+
+    process.env.NODE_ENV = 'production';
+    t.notOk(isPrettyByDefault(), 'must be false in production');
+
+    process.stdout.isTTY = false;
+    process.env.NODE_ENV = 'development';
+    t.notOk(isPrettyByDefault(), 'must be false if not a TTY');
+  } finally {
+    process.stdout.isTTY = isTTY;
+    if (nodeEnv === undefined) delete process.env.NODE_ENV; else process.env.NODE_ENV = nodeEnv;
+  }
+  t.end();
+});
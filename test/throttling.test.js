@@ -0,0 +1,115 @@
+'use strict';
+
+/**
+ * Unit tests for throttling.js
+ * @author Byron du Preez
+ */
+
+const test = require('tape');
+
+const throttling = require('../throttling.js');
+const createThrottle = throttling.createThrottle;
+const isThrottlingEnabled = throttling.isThrottlingEnabled;
+
+function recorder(calls) {
+  return function record() {
+    calls.push(Array.prototype.slice.call(arguments));
+  };
+}
+
+// =====================================================================================================================
+// isThrottlingEnabled
+// =====================================================================================================================
+
+test('isThrottlingEnabled', t => {
+  t.notOk(isThrottlingEnabled(undefined), 'undefined must not enable throttling');
+  t.notOk(isThrottlingEnabled({}), '{} must not enable throttling');
+  t.notOk(isThrottlingEnabled({dedupeWindowMs: 0, maxMessagesPerSecond: 0}), 'zeroes must not enable throttling');
+  t.ok(isThrottlingEnabled({dedupeWindowMs: 1000}), 'dedupeWindowMs must enable throttling');
+  t.ok(isThrottlingEnabled({maxMessagesPerSecond: 10}), 'maxMessagesPerSecond must enable throttling');
+  t.equal(createThrottle({}), undefined, 'createThrottle must return undefined when not enabled');
+  t.end();
+});
+
+// =====================================================================================================================
+// deduplication
+// =====================================================================================================================
+
+test('createThrottle with dedupeWindowMs must suppress identical messages within the window', t => {
+  let time = 1000;
+  const calls = [];
+  const throttle = createThrottle({dedupeWindowMs: 100}, () => time);
+  const warn = throttle.wrap('WARN', recorder(calls));
+  const info = throttle.wrap('INFO', recorder(calls));
+
+  warn('Downstream failed', {code: 500});
+  warn('Downstream failed', {code: 500});
+  time += 50;
+  warn('Downstream failed', {code: 500});
+  warn('Downstream failed', {code: 503});
+  info('Downstream failed', {code: 500});
+  t.deepEqual(calls, [
+    ['Downstream failed', {code: 500}],
+    ['Downstream failed', {code: 503}],
+    ['Downstream failed', {code: 500}]
+  ], 'must suppress only identical messages at the same level');
+
+  calls.length = 0;
+  time += 50;
+  warn('Downstream failed', {code: 500});
+  t.deepEqual(calls, [
+    ['Suppressed 2 similar messages in the last 100 ms: Downstream failed {"code":500}'],
+    ['Downstream failed', {code: 500}]
+  ], 'must log summary & message after window');
+
+  calls.length = 0;
+  time += 100;
+  info('Other message');
+  t.deepEqual(calls, [['Other message']], 'must not log summary when nothing was suppressed');
+  t.end();
+});
+
+// =====================================================================================================================
+// rate limiting
+// =====================================================================================================================
+
+test('createThrottle with maxMessagesPerSecond must cap messages per level per second', t => {
+  let time = 0;
+  const calls = [];
+  const throttle = createThrottle({maxMessagesPerSecond: 2}, () => time);
+  const warn = throttle.wrap('WARN', recorder(calls));
+  const error = throttle.wrap('ERROR', recorder(calls));
+
+  warn('W1');
+  warn('W2');
+  warn('W3');
+  warn('W4');
+  error('E1');
+  t.deepEqual(calls, [['W1'], ['W2'], ['E1']], 'must cap messages per level');
+
+  calls.length = 0;
+  time += 1000;
+  error('E2');
+  t.deepEqual(calls, [
+    ['Suppressed 2 WARN messages exceeding the rate limit of 2 per second'],
+    ['E2']
+  ], 'must log summary after window');
+  t.end();
+});
+
+test('createThrottle must log summaries via timer when no further messages are logged', t => {
+  const calls = [];
+  const throttle = createThrottle({dedupeWindowMs: 20});
+  const info = throttle.wrap('INFO', recorder(calls));
+
+  info('Repeated');
+  info('Repeated');
+  info('Repeated');
+  t.deepEqual(calls, [['Repeated']], 'must suppress repeats');
+
+  setTimeout(() => {
+    t.deepEqual(calls, [['Repeated'], ['Suppressed 2 similar messages in the last 20 ms: Repeated']],
+      'must log summary via timer');
+    t.end();
+  }, 80);
+});
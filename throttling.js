@@ -0,0 +1,183 @@
+'use strict';
+
+// Dependencies
+const strings = require('core-functions/strings');
+const isString = strings.isString;
+const stringify = strings.stringify;
+
+/**
+ * Utilities to throttle logging by suppressing identical messages that are repeated within a time window (i.e.
+ * deduplication) and/or by capping the number of messages logged per level per second (i.e. rate limiting).
+ *
+ * Whenever messages are suppressed, a "Suppressed N ..." summary is logged (at the same level as the suppressed
+ * messages) once the relevant time window has elapsed - either on the next logging call or, at the latest, when an
+ * unreferenced timer (which will NOT keep the process alive) fires.
+ *
+ * @module logging-utils/throttling
+ * @author Byron du Preez
+ */
+exports._$_ = '_$_'; //IDE workaround
+// Exports
+exports.createThrottle = createThrottle;
+exports.isThrottlingEnabled = isThrottlingEnabled;
+
+/**
+ * Returns true if the given settings enable deduplication and/or rate limiting; otherwise returns false.
+ * @param {ThrottlingSettings|LoggingSettings|undefined} [settings] - the settings to check
+ * @returns {boolean} true if throttling is enabled; false otherwise
+ */
+function isThrottlingEnabled(settings) {
+  return !!settings && (settings.dedupeWindowMs > 0 || settings.maxMessagesPerSecond > 0);
+}
+
+/**
+ * Creates a new throttle, which can be used to wrap logging functions with deduplication and/or rate limiting, if the
+ * given settings enable either; otherwise returns undefined.
+ * @param {ThrottlingSettings|LoggingSettings|undefined} [settings] - the settings to use
+ * @param {function(): number} [now] - an optional function that returns the current time in milliseconds (defaults to
+ * Date.now)
+ * @returns {Throttle|undefined} a new throttle (if throttling is enabled); otherwise undefined
+ */
+function createThrottle(settings, now) {
+  if (!isThrottlingEnabled(settings)) {
+    return undefined;
+  }
+  const dedupeWindowMs = settings.dedupeWindowMs > 0 ? settings.dedupeWindowMs : 0;
+  const maxMessagesPerSecond = settings.maxMessagesPerSecond > 0 ? settings.maxMessagesPerSecond : 0;
+  const currentTime = typeof now === 'function' ? now : Date.now;
+
+  const messages = new Map(); // recently logged messages keyed by level & message text
+  const rates = new Map(); // rate limiting windows keyed by level
+  const flushIntervalMs = dedupeWindowMs > 0 ? Math.min(dedupeWindowMs, 1000) : 1000;
+  let lastFlushTime = currentTime();
+  let timer = undefined;
+
+  function summariseMessage(entry) {
+    if (entry.suppressed > 0) {
+      entry.loggingFn(`Suppressed ${entry.suppressed} similar message${entry.suppressed !== 1 ? 's' : ''} in the last ${dedupeWindowMs} ms: ${entry.text}`);
+      entry.suppressed = 0;
+    }
+  }
+
+  function summariseRate(level, rate) {
+    if (rate.suppressed > 0) {
+      rate.loggingFn(`Suppressed ${rate.suppressed} ${level} message${rate.suppressed !== 1 ? 's' : ''} exceeding the rate limit of ${maxMessagesPerSecond} per second`);
+      rate.suppressed = 0;
+    }
+  }
+
+  /**
+   * Logs summaries of, and discards, all expired (or, if force is true, all) deduplication & rate limiting windows.
+   * @param {boolean|undefined} [force] - whether to flush all windows (e.g. before exiting) or only expired ones
+   */
+  function flush(force) {
+    const time = currentTime();
+    lastFlushTime = time;
+    messages.forEach((entry, key) => {
+      if (force || time - entry.time >= dedupeWindowMs) {
+        summariseMessage(entry);
+        messages.delete(key);
+      }
+    });
+    rates.forEach((rate, level) => {
+      if (force || time - rate.start >= 1000) {
+        summariseRate(level, rate);
+        rates.delete(level);
+      }
+    });
+  }
+
+  function scheduleFlush(delayMs) {
+    if (!timer) {
+      timer = setTimeout(() => {
+        timer = undefined;
+        flush();
+        if (hasSuppressed()) scheduleFlush(Math.max(dedupeWindowMs, 1000));
+      }, delayMs);
+      if (timer.unref) timer.unref();
+    }
+  }
+
+  function hasSuppressed() {
+    let suppressed = false;
+    messages.forEach(entry => suppressed = suppressed || entry.suppressed > 0);
+    rates.forEach(rate => suppressed = suppressed || rate.suppressed > 0);
+    return suppressed;
+  }
+
+  function isDuplicate(level, args, loggingFn, time) {
+    const text = toMessageText(args);
+    const key = `${level} ${text}`;
+    const entry = messages.get(key);
+    if (entry && time - entry.time < dedupeWindowMs) {
+      ++entry.suppressed;
+      scheduleFlush(dedupeWindowMs - (time - entry.time));
+      return true;
+    }
+    if (entry) {
+      summariseMessage(entry);
+    }
+    messages.set(key, {time: time, text: text, suppressed: 0, loggingFn: loggingFn});
+    return false;
+  }
+
+  function isRateLimited(level, loggingFn, time) {
+    let rate = rates.get(level);
+    if (rate && time - rate.start >= 1000) {
+      summariseRate(level, rate);
+      rate = undefined;
+    }
+    if (!rate) {
+      rate = {start: time, count: 0, suppressed: 0, loggingFn: loggingFn};
+      rates.set(level, rate);
+    }
+    if (rate.count >= maxMessagesPerSecond) {
+      ++rate.suppressed;
+      scheduleFlush(1000 - (time - rate.start));
+      return true;
+    }
+    ++rate.count;
+    return false;
+  }
+
+  /**
+   * Wraps the given logging function with deduplication and/or rate limiting.
+   * @param {string} level - the level of the logging function
+   * @param {function(...*)} loggingFn - the logging function to wrap
+   * @returns {function(...*)} a throttled version of the given logging function
+   */
+  function wrap(level, loggingFn) {
+    function logThrottled() {
+      const time = currentTime();
+      if (time - lastFlushTime >= flushIntervalMs) {
+        flush();
+      }
+      if (dedupeWindowMs && isDuplicate(level, arguments, loggingFn, time)) {
+        return;
+      }
+      if (maxMessagesPerSecond && isRateLimited(level, loggingFn, time)) {
+        return;
+      }
+      return loggingFn.apply(null, arguments);
+    }
+
+    return logThrottled;
+  }
+
+  return {wrap: wrap, flush: flush};
+}
+
+/**
+ * Converts the given arguments of a logging call into a message text with which to identify identical messages.
+ * @param {Arguments|Array.<*>} args - the arguments of the logging call
+ * @returns {string} the message text
+ */
+function toMessageText(args) {
+  const len = args.length;
+  const parts = new Array(len);
+  for (let i = 0; i < len; ++i) {
+    const arg = args[i];
+    parts[i] = isString(arg) ? arg : arg instanceof Error ? `${arg}` : stringify(arg);
+  }
+  return parts.join(' ');
+}
@@ -2,21 +2,43 @@
 
 /**
  * @typedef {Object} Logger - a logger object with logging functionality
+ * @property {function(data: ...*)} fatal - a fatal-level logging method (which also exits the process if exitOnFatal is true)
  * @property {function(data: ...*)} error - an error-level logging method
  * @property {function(data: ...*)} warn - a warn-level logging method
  * @property {function(data: ...*)} info - an info-level logging method
  * @property {function(data: ...*)} debug - an debug-level logging method
  * @property {function(data: ...*)} trace - a trace-level logging method
  * @property {function(data: ...*)} log - a logging method that delegates to the others if given a valid logLevel as first argument; otherwise uses its underlying logger's log method (if any) or info method (if none)
+ * @property {boolean} fatalEnabled - whether fatal-level logging is enabled or not (always true)
+ * @property {boolean} errorEnabled - whether error-level logging is enabled or not
  * @property {boolean} warnEnabled - whether warn-level logging is enabled or not
  * @property {boolean} infoEnabled - whether info-level logging is enabled or not
  * @property {boolean} debugEnabled - whether debug-level logging is enabled or not
  * @property {boolean} traceEnabled - whether trace-level logging is enabled or not
+ * @property {boolean} debugSampled - whether the log level was elevated to DEBUG by debug sampling or not
+ * @property {function(bindings: Object, settings: (LoggingSettings|LoggingOptions|undefined)): Logger} child - creates a child logger that inherits this logger's configuration and adds the given bindings to every message logged
+ * @property {function(): number} flushBuffer - logs & discards any suppressed DEBUG & TRACE calls captured in this logger's debug buffer (if any) & returns the number flushed
+ * @property {function()} flushThrottle - immediately logs the "Suppressed N ..." summaries of all of the current windows of this logger's throttle (if any), e.g. before exiting the process
+ * @property {function(label: string, logLevel: (LogLevel|undefined))} time - starts a timer with the given label, which timeEnd logs at the given level (defaults to INFO), unless the level is disabled
+ * @property {function(label: string): (number|undefined)} timeEnd - stops the timer with the given label, logs its label & elapsed milliseconds (e.g. "db query: 12.345ms") if its level is enabled & returns the elapsed milliseconds (or undefined if no such timer was started)
+ * @property {function(logLevel: (LogLevel|undefined)): function(message: string, fields: (Object|undefined)): (number|undefined)} startTimer - starts a new timer & returns a done function that logs the given message & fields with the elapsed milliseconds as a durationMs field at the given level (defaults to INFO) & returns the elapsed milliseconds (or does nothing if the level is disabled)
+ * @property {function(fn: Function, opts: (WrapOptions|undefined)): Function} wrap - wraps the given function with a function that logs the entry & exit (with the duration) of each call at the given level (defaults to DEBUG) and that logs any error thrown or any rejection of a returned promise at ERROR, before rethrowing it
+ *
+ * Each custom log level (see LoggingOptions.customLevels) also adds a logging method named after the level in lowercase
+ * (e.g. notice) and a corresponding enabled flag (e.g. noticeEnabled).
+ *
+ * Every logging method also accepts a lazy message, i.e. a function as its first argument, which is ONLY called if the
+ * method's level is enabled and whose result is logged in its place. If the function returns a promise, then its
+ * resolved value is logged once resolved and the logging method returns a promise that resolves once it was logged
+ * (or once any failure to log it was reported via console.error).
  */
 
 /**
  * @typedef {LoggingOptions} LoggingSettings - The logging settings to use for configuring logging functionality
- * @property {Object|undefined} [underlyingLogger] - the optional underlying logger to use to do the actual logging
+ * @property {Object|Array.<LoggingDestination|Object>|undefined} [underlyingLogger] - the optional underlying logger (or array of destinations) to use to do the actual logging
+ * @property {Object|undefined} [bindings] - optional fields to add to every message logged (e.g. {requestId: '123'})
+ * @property {string|undefined} [name] - the dot-separated name of a named logger (only set by getLogger)
+ * @property {RedactionSettings|undefined} [redaction] - optional settings with which to redact sensitive data in every argument logged
  *
  * The optional underlyingLogger, if defined, determines the underlying logger that will be used to do the actual
  * logging. If defined, the underlyingLogger must be either console or a minimum viable logger-like object, which means
@@ -24,6 +46,18 @@
  * an error method and a warn methods and must have EITHER an info method OR a log method OR both.have error, warn, info, debug & trace methods; otherwise console will
  * be used as the underlying logger. For AWS Lambdas, only console will be used and the underlyingLogger is only
  * currently used for testing the logging functionality.
+ *
+ * Alternatively, the underlyingLogger can be a non-empty array of destinations, each of which is either a minimum
+ * viable logger or a LoggingDestination with its own minimum log level and/or format, in which case every logging call
+ * is fanned out to each destination that accepts its level. Note that the logLevel setting still determines which
+ * levels are enabled overall, so a destination's minimum log level can only further restrict the levels it receives.
+ *
+ * The optional bindings, if defined, are added to every message logged - as a `[key1=value1 key2=value2]` prefix when
+ * using the 'text' format or as extra fields when using the 'json' format. Child loggers (see Logger.child) inherit
+ * their parent's bindings.
+ *
+ * Any fields of the current log context (see runWithLogContext) are also added to every message logged, after the
+ * bindings, which take precedence over any log context fields with the same names.
  */
 
 /**
@@ -33,20 +67,251 @@
  * @property {boolean|undefined} [useLevelPrefixes] - whether to prepend level prefixes to logged messages or not
  * @property {string|undefined} [envLogLevelName] - the name of the environment variable in which to look for a configured log level (e.g. 'LOG_LEVEL')
  * @property {boolean|undefined} [useConsoleTrace] - whether to use console.trace or console.log for trace level logging
+ * @property {LogFormat|undefined} [format] - the format of the logged output to use (see LogFormat enum)
+ * @property {string|function(info: PrefixInfo): string|undefined} [prefixTemplate] - an optional template string (e.g. "{time} {level} [{name}] {pid}") or function with which to generate the prefix of each message logged (instead of the level prefix)
+ * @property {TimeFormat|undefined} [timeFormat] - the format of timestamps to use (see TimeFormat enum)
+ * @property {number|undefined} [dedupeWindowMs] - the time window (in milliseconds) within which to suppress identical messages (0 disables deduplication)
+ * @property {number|undefined} [maxMessagesPerSecond] - the maximum number of messages to log per level per second (0 disables rate limiting)
+ * @property {number|undefined} [debugSampleRate] - the fraction (from 0 to 1) of configurations for which to elevate the log level to DEBUG (e.g. 0.01 for 1%)
+ * @property {boolean|undefined} [exitOnFatal] - whether to flush pending output & exit the process after logging a fatal message or not
+ * @property {number|undefined} [fatalExitCode] - the exit code with which to exit the process after logging a fatal message (defaults to 1)
+ * @property {number|undefined} [debugBufferSize] - the maximum number of suppressed DEBUG & TRACE calls to capture in a debug buffer until the next error (0 disables buffering)
+ * @property {Object.<string, CustomLogLevel>|undefined} [customLevels] - optional extra log levels keyed by their uppercase names (e.g. {NOTICE: {severity: 35}})
+ * @property {boolean|undefined} [strict] - whether to throw an error when configuring logging with any invalid settings or options (instead of silently ignoring them) or not
  *
  * The logLevel option sets the level of logging to be used. If undefined or invalid, the default logLevel (currently
  * LogLevel.INFO) will be used instead.
  *
  * Log levels:
- * - ERROR - only logs on error calls (i.e. suppresses warn, info, debug & trace calls)
- * - WARN - only logs on warn & error calls (i.e. suppresses info, debug & trace calls)
- * - INFO - logs on info, warn & error calls (i.e. suppresses only debug & trace calls)
- * - DEBUG - logs on debug, info, warn & error levels (i.e. suppresses only trace calls)
- * - TRACE - logs on trace, debug, info, warn & error calls (i.e. does NOT suppress any logging calls)
+ * - FATAL - only logs on fatal calls (i.e. suppresses error, warn, info, debug & trace calls)
+ * - ERROR - only logs on error & fatal calls (i.e. suppresses warn, info, debug & trace calls)
+ * - WARN - only logs on warn, error & fatal calls (i.e. suppresses info, debug & trace calls)
+ * - INFO - logs on info, warn, error & fatal calls (i.e. suppresses only debug & trace calls)
+ * - DEBUG - logs on debug, info, warn, error & fatal levels (i.e. suppresses only trace calls)
+ * - TRACE - logs on trace, debug, info, warn, error & fatal calls (i.e. does NOT suppress any logging calls)
  *
  * The useLevelPrefixes option indicates whether or not to prepend log level prefixes to logged messages.
  *
  * The useConsoleTrace option indicates whether to use console.trace (true) or console.log (false) for trace level
  * logging. However, before setting this to true, be warned that console.trace logs to standard error and ALSO outputs
  * the stack trace, which is generally NOT what you want for the most detailed level of logging.
+ *
+ * The format option sets the format of the logged output. If undefined or invalid, the default format (currently
+ * LogFormat.TEXT) will be used instead.
+ *
+ * Formats:
+ * - text - logs the given data as is (prefixed with its log level, if useLevelPrefixes is true)
+ * - json - logs a single JSON object per logging call, e.g. {"level":"INFO","timestamp":"...","message":"...","data":[...]},
+ *   where message is the first argument (if it is a string or an Error) and data holds any other arguments
+ * - pretty - logs the given data for developers, i.e. with coloured prefixes, indented objects & shortened stack traces
+ *
+ * If no format is configured, then the format defaults to 'pretty' when logging to console while standard output is an
+ * interactive terminal (TTY) and NODE_ENV is NOT 'production'; otherwise to 'text'.
+ *
+ * The prefixTemplate option, if defined, replaces the level prefix (regardless of useLevelPrefixes) with a prefix
+ * generated per message from either a template string containing any of the placeholders {time}, {level}, {name} &
+ * {pid} or from a function that is given a PrefixInfo object and must return the prefix.
+ *
+ * The timeFormat option sets the format of {time} placeholders and of JSON timestamps, i.e. 'iso' (the default),
+ * 'epoch' (milliseconds since the epoch) or 'local' (e.g. '2018-06-21 12:00:00.000').
+ *
+ * The debugSampleRate option sets the probability with which each configuration (i.e. each call to configureLogging or
+ * getLogger & each call to child that overrides debugSampleRate) will have its log level elevated to DEBUG. The
+ * sampling decision is exposed as the configured logger's debugSampled flag. Defaults to 0 (i.e. never).
+ *
+ * The dedupeWindowMs & maxMessagesPerSecond options enable throttling (see throttling.js), which suppresses identical
+ * messages repeated within the window and/or messages exceeding the per level rate limit (except fatal messages, which
+ * are never suppressed) and which then logs a "Suppressed N ..." summary after the relevant window. Each configured
+ * logger has its own throttle, which is shared with its child loggers (unless they override either option) & which is
+ * retained when the logger is reconfigured with the same options (e.g. via setLogLevel or reloadLogging). Both default
+ * to 0 (i.e. disabled).
+ *
+ * The debugBufferSize option, if positive, enables a debug buffer, which captures the most recent suppressed DEBUG &
+ * TRACE calls (instead of ignoring them) and which is flushed (i.e. logged) just before the next error is logged or
+ * when the configured logger's flushBuffer method is called. Each configured logger (including each child logger) has
+ * its own debug buffer, whose captured calls are retained when the logger is reconfigured (e.g. via setLogLevel or
+ * reloadLogging). Defaults to 0 (i.e. disabled).
+ *
+ * The exitOnFatal option, if true, makes every fatal call flush any throttling summaries & then wait for any pending
+ * standard output & standard error to be flushed before exiting the process with the fatalExitCode (which is also set
+ * as process.exitCode immediately). Defaults to false (i.e. fatal calls only log).
+ *
+ * The customLevels option registers extra log levels, which are positioned relative to the supported log levels by
+ * their severities (see LogLevelSeverity) and which can then also be used as the logLevel (or as LOG_LEVEL) and as
+ * prefixes of log calls. Each custom log level is enabled if its severity is at least the severity of the logLevel.
+ * Invalid custom log levels (e.g. those that clash with a supported log level or with the log or child method) are
+ * skipped with a warning. Note that destination log levels & LOG_LEVELS patterns only support the built-in log levels.
+ *
+ * The strict option, if true, makes configureLogging (and child) throw an error describing every invalid setting &
+ * option (see validateLoggingSettings), instead of silently ignoring them (e.g. a logLevel of 'DEBGU' would otherwise
+ * silently fall back to the default logLevel). Defaults to false.
+ */
+
+/**
+ * @typedef {Object} SettingProblem - an invalid setting reported by validateLoggingSettings
+ * @property {string} setting - the name of the invalid setting (e.g. 'logLevel' or 'customLevels.NOTICE')
+ * @property {*} value - the invalid value
+ * @property {string} reason - the reason why the value is invalid (e.g. 'must be a boolean')
+ */
+
+/**
+ * @typedef {Object} CustomLogLevel - a user-defined log level (see LoggingOptions.customLevels)
+ * @property {number} severity - the level's severity relative to the LogLevelSeverity of the supported log levels (e.g. 35 to fall between INFO & WARN)
+ * @property {string|undefined} [method] - the name of the underlying logger's method to use (defaults to the level's name in lowercase, falling back to the method of the most severe supported log level that is NOT more severe)
+ */
+
+/**
+ * @typedef {Object} NamedLoggerEntry - an entry in the registry of named loggers created via getLogger
+ * @property {string} name - the dot-separated name of the logger
+ * @property {Logger} logger - the configured logger
+ * @property {LogLevel|undefined} [logLevel] - the log level explicitly configured on the logger (if any)
+ * @property {boolean} setAtRuntime - whether the explicit log level was set at runtime via setLogLevel or not
+ * @property {LogLevel} defaultLogLevel - the log level to fallback to when no other log level applies
+ * @property {string} defaultLogLevelSource - the source of the default log level (see explainLoggingConfiguration)
+ * @property {LoggingSettings|LoggingOptions|undefined} [settings] - the settings with which the logger was created (used by reloadLogging)
+ */
+
+/**
+ * @typedef {Object} LogLevelPattern - a log level pattern parsed from the LOG_LEVELS environment variable
+ * @property {RegExp} regex - the regular expression used to match logger names
+ * @property {number} specificity - the specificity of the pattern (i.e. its length without wildcards)
+ * @property {LogLevel} logLevel - the log level to use for matching loggers
+ */
+
+/**
+ * @typedef {Object} PrefixInfo - the information available to a prefix template function
+ * @property {string|number} time - the current time formatted according to the timeFormat setting
+ * @property {Date} date - the current date
+ * @property {string} level - the level of the logging call
+ * @property {string} name - the name of the logger (or an empty string if it has no name)
+ * @property {number} pid - the process id
+ */
+
+/**
+ * @typedef {Object} RedactionSettings - the settings with which to redact sensitive data (see redaction.js)
+ * @property {string[]|undefined} [keys] - key names to redact at any depth (e.g. 'password') and/or dot-separated object paths to redact from the root of each argument (e.g. '*.token')
+ * @property {Array.<RegExp|string>|undefined} [patterns] - regular expressions with which to redact free-text secrets in any string (e.g. RedactionPatterns.AWS_ACCESS_KEY_ID)
+ * @property {string|undefined} [mask] - the text with which to replace redacted values (defaults to '[REDACTED]')
+ */
+
+/**
+ * @typedef {Object} ThrottlingSettings - the settings with which to throttle logging (see throttling.js)
+ * @property {number|undefined} [dedupeWindowMs] - the time window (in milliseconds) within which to suppress identical messages
+ * @property {number|undefined} [maxMessagesPerSecond] - the maximum number of messages to log per level per second
+ */
+
+/**
+ * @typedef {Object} Throttle - a throttle created by createThrottle (see throttling.js)
+ * @property {function(level: string, loggingFn: function(...*)): function(...*)} wrap - wraps the given logging function with deduplication and/or rate limiting
+ * @property {function(force: (boolean|undefined))} flush - logs summaries of, and discards, all expired (or, if force is true, all) deduplication & rate limiting windows
+ */
+
+/**
+ * @typedef {Object} LoggingStages - the optional stages through which every logging call must pass before being formatted & logged
+ * @property {function(value: *): *|undefined} [redact] - an optional function with which to redact each argument
+ * @property {Throttle|undefined} [throttle] - an optional throttle with which to suppress repeated & excess messages
+ */
+
+/**
+ * @typedef {Object} SerializedError - a plain object version of an error created by serializeError (see errors.js)
+ * @property {string} name - the name of the error
+ * @property {string} message - the message of the error
+ * @property {*|undefined} [code] - the code of the error (if any)
+ * @property {string|undefined} [stack] - the stack of the error (if any)
+ * @property {SerializedError|*|undefined} [cause] - the serialized cause of the error (if any)
+ * @property {Array.<SerializedError|*>|undefined} [errors] - the serialized aggregated errors of the error (if any)
+ */
+
+/**
+ * @typedef {Object} LoggingDestination - a destination to which to fan out logging calls (see LoggingSettings.underlyingLogger)
+ * @property {Object} logger - the minimum viable logger to use to do the actual logging
+ * @property {LogLevel|undefined} [logLevel] - the optional minimum log level of messages to log to this destination
+ * @property {LogFormat|undefined} [format] - the optional format with which to log to this destination (defaults to the configured format)
+ */
+
+/**
+ * @typedef {Object} WrapOptions - the options with which to wrap a function (see Logger.wrap)
+ * @property {string|undefined} [name] - the name with which to log calls (defaults to the function's name or 'anonymous')
+ * @property {LogLevel|undefined} [level] - the level at which to log the entry & exit of each call (defaults to DEBUG)
+ * @property {boolean|undefined} [logArgs] - whether to log the arguments of each call on entry or not (defaults to false)
+ * @property {boolean|undefined} [logResult] - whether to log the result (or resolved value) of each call on exit or not (defaults to false)
+ */
+
+/**
+ * @typedef {Object} HotReloadOptions - the options with which to enable hot reloading (see hot-reload.js)
+ * @property {string|undefined} [configFile] - the path of the config file to watch for changes (defaults to the path in the LOGGING_CONFIG_FILE environment variable; undefined watches no file)
+ * @property {string[]|undefined} [signals] - the signals on which to reload (defaults to ['SIGHUP', 'SIGUSR2']; [] handles no signals)
+ * @property {number|undefined} [intervalMs] - the interval (in milliseconds) at which to poll the config file for changes (defaults to 1000)
+ */
+
+/**
+ * @typedef {Object} FileLoggerOptions - the options with which to create a file logger (see file-logger.js)
+ * @property {string} path - the path of the file to which to append
+ * @property {number|undefined} [maxSize] - the maximum size (in bytes) of the file before it is rotated (0 or undefined disables rotation by size)
+ * @property {RotationInterval|undefined} [interval] - the date-based interval at which to rotate the file (undefined disables rotation by date)
+ * @property {number|undefined} [maxFiles] - the maximum number of archives to retain (defaults to 5)
+ * @property {boolean|undefined} [compress] - whether to gzip archives or not (defaults to false)
+ */
+
+/**
+ * @typedef {Object} FileLogger - a minimum viable logger that appends to a file (see file-logger.js)
+ * @property {function(...*)} fatal - appends the given data as a line to the file
+ * @property {function(...*)} error - appends the given data as a line to the file
+ * @property {function(...*)} warn - appends the given data as a line to the file
+ * @property {function(...*)} info - appends the given data as a line to the file
+ * @property {function(...*)} debug - appends the given data as a line to the file
+ * @property {function(...*)} trace - appends the given data as a line to the file
+ * @property {function(...*)} log - appends the given data as a line to the file
+ * @property {function(): Promise} rotate - archives the current file & starts a new file & returns a promise that resolves once every pending archive has been compressed
+ * @property {function(): Promise} whenArchived - returns a promise that resolves once every pending archive has been compressed
+ * @property {function()} close - closes the file (which will be re-opened on the next logging call)
+ * @property {string} path - the path of the file
+ */
+
+/**
+ * @typedef {Object} DebugBuffer - a bounded ring buffer in which to capture suppressed logging calls until they are flushed
+ * @property {function(loggingFn: function(...*)): function(...*)} capture - returns a function that captures calls to the given logging function
+ * @property {function(): number} flush - logs & discards all captured calls & returns the number flushed
+ * @property {function(loggingFn: function(...*)): function(...*)} flushBefore - returns a function that flushes the buffer before calling the given logging function
+ */
+
+/**
+ * @typedef {Object} AWSContext - the parts of an AWS Lambda context used by lambda.js
+ * @property {string|undefined} [awsRequestId] - the AWS request id of the invocation
+ * @property {string|undefined} [functionName] - the name of the Lambda function
+ * @property {string|undefined} [functionVersion] - the version of the Lambda function
+ * @property {function(): number|undefined} [getRemainingTimeInMillis] - returns the remaining time (in milliseconds) of the invocation
+ */
+
+/**
+ * @typedef {Object} LambdaBindings - the bindings added to every message logged by configureLambdaLogging (see lambda.js)
+ * @property {string|undefined} [awsRequestId] - the AWS request id of the invocation
+ * @property {string|undefined} [functionName] - the name of the Lambda function
+ * @property {string|undefined} [functionVersion] - the version of the Lambda function
+ * @property {boolean} coldStart - whether the invocation was the first in its container (i.e. a cold start) or not
+ * @property {string|undefined} [traceId] - the X-Ray trace id of the invocation (from the _X_AMZN_TRACE_ID environment variable)
+ */
+
+/**
+ * @typedef {Object} CapturedLogEntry - a logging call recorded by a capture logger (see capture-logger.js)
+ * @property {string} level - the level of the call (i.e. 'FATAL', 'ERROR', 'WARN', 'INFO', 'DEBUG', 'TRACE' or 'LOG')
+ * @property {Array.<*>} args - the arguments passed to the call
+ * @property {string} formatted - the arguments formatted as text (as console would format them)
+ * @property {number} time - the time (in milliseconds) at which the call was made
+ */
+
+/**
+ * @typedef {Object} CaptureLogger - a minimum viable logger that records every logging call in memory (see capture-logger.js)
+ * @property {function(...*)} fatal - records a FATAL entry
+ * @property {function(...*)} error - records an ERROR entry
+ * @property {function(...*)} warn - records a WARN entry
+ * @property {function(...*)} info - records an INFO entry
+ * @property {function(...*)} debug - records a DEBUG entry
+ * @property {function(...*)} trace - records a TRACE entry
+ * @property {function(...*)} log - records a LOG entry
+ * @property {CapturedLogEntry[]} entries - the recorded entries
+ * @property {function(level: (string|undefined), pattern: (RegExp|string|undefined)): CapturedLogEntry[]} find - returns the matching entries
+ * @property {function(level: (string|undefined), pattern: (RegExp|string|undefined)): CapturedLogEntry} expectLogged - asserts that a matching entry was recorded
+ * @property {function(level: (string|undefined), pattern: (RegExp|string|undefined))} expectNotLogged - asserts that no matching entry was recorded
+ * @property {function()} clear - discards all recorded entries
  */